@@ -0,0 +1,12 @@
+-- Webhook POSTs that failed X-Hub-Signature-256 verification while
+-- WHATSAPP_SIGNATURE_FAILURE_MODE=quarantine
+CREATE TABLE IF NOT EXISTS quarantined_webhooks (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    reason VARCHAR(64) NOT NULL,
+    signature VARCHAR(255) NULL,
+    headers JSON NULL,
+    raw_body LONGTEXT NULL,
+    remote_ip VARCHAR(64) NULL,
+    created_at DATETIME NOT NULL,
+    INDEX idx_quarantined_webhooks_created_at (created_at)
+);
@@ -0,0 +1,5 @@
+-- Delivery status callbacks (sent/delivered/read/failed) are appended here as a JSON array
+ALTER TABLE messages ADD COLUMN status_history LONGTEXT NULL AFTER status;
+
+-- Status callbacks are matched to messages by their WhatsApp message ID
+CREATE INDEX idx_messages_wa_id ON messages (wa_id);
@@ -0,0 +1,16 @@
+-- Inbound ingestion is keyed on the WhatsApp message ID, so redelivered webhooks
+-- can't create a second row for the same message
+
+-- Messages without a WhatsApp ID are stored as NULL rather than an empty string
+ALTER TABLE messages MODIFY wa_id VARCHAR(255) NULL;
+UPDATE messages SET wa_id = NULL WHERE wa_id = '';
+
+-- Drop duplicates left by earlier redeliveries, keeping the first stored row
+DELETE newer FROM messages newer
+    JOIN messages older
+        ON newer.wa_id = older.wa_id
+        AND (newer.created_at > older.created_at
+            OR (newer.created_at = older.created_at AND newer.id > older.id));
+
+DROP INDEX idx_messages_wa_id ON messages;
+CREATE UNIQUE INDEX uniq_messages_wa_id ON messages (wa_id);
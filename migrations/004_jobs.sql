@@ -0,0 +1,19 @@
+-- Background jobs (webhook processing and other work) for the MySQL queue adapter.
+-- Jobs that exhaust their attempts stay here with status = 'dead' (dead-letter store)
+CREATE TABLE IF NOT EXISTS jobs (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    queue_name VARCHAR(64) NOT NULL,
+    payload LONGTEXT NOT NULL,
+    status ENUM('pending', 'processing', 'completed', 'dead') NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NULL,
+    available_at DATETIME(3) NOT NULL,
+    last_error TEXT NULL,
+    locked_at DATETIME(3) NULL,
+    locked_by CHAR(36) NULL,
+    created_at DATETIME(3) NOT NULL,
+    updated_at DATETIME(3) NOT NULL,
+    INDEX idx_jobs_claim (queue_name, status, available_at),
+    INDEX idx_jobs_locked_by (locked_by),
+    INDEX idx_jobs_status_updated (status, updated_at)
+);
@@ -0,0 +1,16 @@
+-- One row per conversation with an assistant run in progress
+CREATE TABLE IF NOT EXISTS conversation_locks (
+    conversation_id CHAR(36) NOT NULL PRIMARY KEY,
+    owner CHAR(36) NOT NULL,
+    expires_at DATETIME(3) NOT NULL,
+    created_at DATETIME(3) NOT NULL
+);
+
+-- User messages received while a run was active, added to the thread once it finishes
+CREATE TABLE IF NOT EXISTS conversation_pending_inputs (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    conversation_id CHAR(36) NOT NULL,
+    content TEXT NOT NULL,
+    created_at DATETIME(3) NOT NULL,
+    INDEX idx_pending_inputs_conversation (conversation_id, created_at)
+);
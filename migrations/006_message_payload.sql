@@ -0,0 +1,5 @@
+-- Structured payload of interactive, button, reaction, order, system and unsupported messages
+ALTER TABLE messages ADD COLUMN payload LONGTEXT NULL AFTER emoji;
+
+-- Lets the messages endpoint filter by type efficiently (e.g. ?type=reaction)
+CREATE INDEX idx_messages_conversation_type ON messages (conversation_id, type);
@@ -0,0 +1,14 @@
+-- Local registry of approved WhatsApp message templates and the parameters they take
+CREATE TABLE IF NOT EXISTS message_templates (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    name VARCHAR(512) NOT NULL,
+    language VARCHAR(16) NOT NULL,
+    category VARCHAR(32) NOT NULL,
+    header LONGTEXT NULL,
+    body LONGTEXT NOT NULL,
+    footer VARCHAR(60) NULL,
+    buttons LONGTEXT NULL,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    UNIQUE INDEX idx_message_templates_name_language (name, language)
+);
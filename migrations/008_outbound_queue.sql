@@ -0,0 +1,7 @@
+-- Outbound messages are stored as 'queued' and delivered by the outbound worker.
+-- job_id links the message to its delivery job, error keeps the last Graph API error
+ALTER TABLE messages ADD COLUMN job_id CHAR(36) NULL AFTER status_history;
+ALTER TABLE messages ADD COLUMN error TEXT NULL AFTER job_id;
+
+-- Lets the failed-sends endpoint find failed messages without scanning the table
+CREATE INDEX idx_messages_status_updated ON messages (status, updated_at);
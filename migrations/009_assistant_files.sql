@@ -0,0 +1,7 @@
+-- Images and documents sent to the assistant are uploaded to OpenAI once;
+-- the file ID is kept on the message so later runs reuse the upload
+ALTER TABLE messages ADD COLUMN openai_file_id VARCHAR(64) NULL AFTER error;
+
+-- Queued run input can carry image content parts and file attachments besides its text
+ALTER TABLE conversation_pending_inputs ADD COLUMN parts LONGTEXT NULL AFTER content;
+ALTER TABLE conversation_pending_inputs ADD COLUMN attachments LONGTEXT NULL AFTER parts;
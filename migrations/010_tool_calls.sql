@@ -0,0 +1,16 @@
+-- Every function tool the assistant called, with its arguments and what we answered
+CREATE TABLE IF NOT EXISTS tool_calls (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    conversation_id CHAR(36) NOT NULL,
+    thread_id VARCHAR(64) NOT NULL,
+    run_id VARCHAR(64) NOT NULL,
+    tool_call_id VARCHAR(64) NOT NULL,
+    name VARCHAR(64) NOT NULL,
+    arguments LONGTEXT NULL,
+    output LONGTEXT NULL,
+    status ENUM('success', 'error', 'timeout') NOT NULL,
+    error TEXT NULL,
+    duration_ms INT NOT NULL,
+    created_at DATETIME(3) NOT NULL,
+    INDEX idx_tool_calls_conversation (conversation_id, created_at)
+);
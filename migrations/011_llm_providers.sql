@@ -0,0 +1,3 @@
+-- Tool calls can come from providers without threads (Chat Completions, Responses)
+ALTER TABLE tool_calls MODIFY thread_id VARCHAR(64) NULL;
+ALTER TABLE tool_calls ADD COLUMN provider VARCHAR(32) NOT NULL DEFAULT 'assistants' AFTER conversation_id;
@@ -0,0 +1,7 @@
+-- Status transitions (from, to, reason, at) are appended here as a JSON array
+ALTER TABLE conversations ADD COLUMN status_history LONGTEXT NULL AFTER status;
+
+-- Inbound messages look for the open conversation of a user, the sweeper for inactive ones
+CREATE INDEX idx_conversations_wa_id_status ON conversations (wa_id, status);
+CREATE INDEX idx_conversations_status_updated ON conversations (status, updated_at);
+CREATE INDEX idx_messages_conversation_created ON messages (conversation_id, created_at);
@@ -0,0 +1,2 @@
+-- Full-text search over message text, used to find conversations
+ALTER TABLE messages ADD FULLTEXT INDEX ft_messages_text (text);
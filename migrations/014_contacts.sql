@@ -0,0 +1,20 @@
+-- WhatsApp users we have heard from, built from the contacts of inbound webhooks
+CREATE TABLE IF NOT EXISTS contacts (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    wa_id VARCHAR(32) NOT NULL,
+    profile_name VARCHAR(255) NULL,
+    -- Every profile name seen, as a JSON array of { name, seen_at }
+    profile_name_history LONGTEXT NULL,
+    locale VARCHAR(16) NULL,
+    attributes LONGTEXT NULL,
+    user_id VARCHAR(64) NULL,
+    patient_id VARCHAR(64) NULL,
+    first_seen_at DATETIME(3) NULL,
+    last_seen_at DATETIME(3) NULL,
+    created_at DATETIME(3) NOT NULL,
+    updated_at DATETIME(3) NOT NULL,
+    UNIQUE INDEX uniq_contacts_wa_id (wa_id),
+    INDEX idx_contacts_updated (updated_at),
+    INDEX idx_contacts_user (user_id),
+    INDEX idx_contacts_patient (patient_id)
+);
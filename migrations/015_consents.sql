@@ -0,0 +1,17 @@
+-- Consent log: every opt-in and opt-out of a WhatsApp user for a business number and a
+-- category of messages. Rows are never updated; the latest row is the current state
+CREATE TABLE IF NOT EXISTS consents (
+    id CHAR(36) NOT NULL PRIMARY KEY,
+    wa_id VARCHAR(32) NOT NULL,
+    business_phone_number_id VARCHAR(64) NOT NULL,
+    category ENUM('marketing', 'service') NOT NULL,
+    status ENUM('opted_in', 'opted_out') NOT NULL,
+    -- keyword (the user wrote STOP, START...) or api
+    source VARCHAR(32) NOT NULL,
+    detail VARCHAR(255) NULL,
+    -- Inbound message that changed the consent, for keyword changes
+    message_id CHAR(36) NULL,
+    created_at DATETIME(3) NOT NULL,
+    INDEX idx_consents_contact (wa_id, business_phone_number_id, category, created_at),
+    INDEX idx_consents_created (created_at)
+);
@@ -0,0 +1,3 @@
+-- Conversations and contacts are paginated by creation date, which doesn't change between pages
+CREATE INDEX idx_conversations_created ON conversations (created_at);
+CREATE INDEX idx_contacts_created ON contacts (created_at);
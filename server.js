@@ -7,8 +7,11 @@ const morgan = require('morgan');
 const { initDatabase } = require('./src/config/database.js');
 const whatsappRoutes = require('./src/api/routes/whatsapp.js');
 const openaiRoutes = require('./src/api/routes/openai.js');
+const jobsRoutes = require('./src/api/routes/jobs.js');
 const { internalNetworkOnly, apiKeyAuth } = require('./src/middleware/internalAccess.js');
 const { notFoundHandler, errorHandler } = require('./src/middleware/errorHandler.js');
+const { captureRawBody } = require('./src/middleware/webhookSignature.js');
+const { startWorkers, stopWorkers } = require('./src/jobs/index.js');
 
 
 // Create Express app
@@ -17,8 +20,8 @@ const app = express();
 // Set security HTTP headers
 app.use(helmet());
 
-// Parse JSON request body
-app.use(express.json({ limit: '10mb' }));
+// Parse JSON request body (keeping the raw bytes for webhook signature checks)
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 
 // Parse URL-encoded request body
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -46,6 +49,7 @@ const internalMiddleware = [
 // Mount internal routes
 app.use('/internal/whatsapp', internalMiddleware, whatsappRoutes.privateRouter);
 app.use('/internal/openai', internalMiddleware, openaiRoutes.privateRouter);
+app.use('/internal/jobs', internalMiddleware, jobsRoutes.privateRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -88,6 +92,9 @@ if (process.env.SKIP_DB_INIT === 'true') {
                 console.log(`Server is running on port ${PORT}`);
             });
 
+            // Start background workers (webhook processing)
+            startWorkers();
+
             // Handle unhandled promise rejections
             process.on('unhandledRejection', (err) => {
                 console.error('UNHANDLED REJECTION:', err);
@@ -101,8 +108,9 @@ if (process.env.SKIP_DB_INIT === 'true') {
             });
 
             // Handle SIGTERM
-            process.on('SIGTERM', () => {
+            process.on('SIGTERM', async () => {
                 console.info('SIGTERM received, shutting down gracefully');
+                await stopWorkers();
                 console.info('Process terminated');
             });
         })
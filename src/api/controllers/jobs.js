@@ -0,0 +1,87 @@
+const jobQueue = require('../../queue/index.js');
+const logger = require('../../utils/logger.js');
+const { ApiError } = require('../../utils/errors.js');
+
+/**
+ * List jobs in the dead-letter store
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listDeadJobs = async (req, res, next) => {
+    try {
+        const { queue, limit } = req.query;
+
+        const jobs = await jobQueue.listDead(
+            queue || null,
+            limit ? Math.min(parseInt(limit), 500) : undefined
+        );
+
+        res.status(200).json({
+            success: true,
+            count: jobs.length,
+            jobs
+        });
+    } catch (error) {
+        logger.error('Error listing dead jobs:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get a job by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getJob = async (req, res, next) => {
+    try {
+        const { jobId } = req.params;
+
+        const job = await jobQueue.findById(jobId);
+        if (!job) {
+            throw new ApiError(404, 'Job not found');
+        }
+
+        res.status(200).json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        logger.error('Error getting job:', error);
+        next(error);
+    }
+};
+
+/**
+ * Move a dead-lettered job back to its queue
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const replayJob = async (req, res, next) => {
+    try {
+        const { jobId } = req.params;
+
+        const job = await jobQueue.replay(jobId);
+        if (!job) {
+            throw new ApiError(404, 'Dead job not found');
+        }
+
+        logger.info(`Replaying dead job ${jobId} on queue ${job.queue}`);
+
+        res.status(200).json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        logger.error('Error replaying job:', error);
+        next(error);
+    }
+};
+
+module.exports = {
+    listDeadJobs,
+    getJob,
+    replayJob
+};
@@ -1,5 +1,9 @@
+const { v4: uuidv4 } = require('uuid');
 const openaiService = require('../../services/openai.js');
+const toolRegistry = require('../../tools/index.js');
+const runEvents = require('../../utils/runEvents.js');
 const databaseService = require('../../services/database.js');
+const openaiConfig = require('../../config/openai.js');
 const logger = require('../../utils/logger.js');
 const { ApiError } = require('../../utils/errors.js');
 
@@ -90,11 +94,28 @@ const runAssistant = async (req, res, next) => {
             throw new ApiError(404, 'Conversation not found');
         }
 
-        // Run assistant
-        const run = await openaiService.runAssistant(threadId, options || {});
+        // Only one run at a time per conversation, across every process
+        const owner = uuidv4();
+        const acquired = await databaseService.acquireConversationLock(conversationId, owner, openaiConfig.runLockTtl);
+        if (!acquired) {
+            throw new ApiError(409, 'A run is already in progress for this conversation');
+        }
 
-        // Update conversation config
-        await conversation.updateConfig({ run_id: run.id });
+        let run;
+        try {
+            const activeRun = await openaiService.getActiveRun(threadId);
+            if (activeRun) {
+                throw new ApiError(409, `Run ${activeRun.id} is still ${activeRun.status} on this thread`);
+            }
+
+            // Run assistant
+            run = await openaiService.runAssistant(threadId, options || {});
+
+            // Update conversation config
+            await conversation.updateConfig({ run_id: run.id });
+        } finally {
+            await databaseService.releaseConversationLock(conversationId, owner);
+        }
 
         res.status(200).json({
             success: true,
@@ -259,6 +280,97 @@ const uploadFile = async (req, res, next) => {
     }
 };
 
+/**
+ * List the function tools the assistant can call, as definitions for the assistant's configuration
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listTools = async (req, res, next) => {
+    try {
+        res.status(200).json({
+            success: true,
+            tools: toolRegistry.definitions()
+        });
+    } catch (error) {
+        logger.error('Error listing tools:', error);
+        next(error);
+    }
+};
+
+/**
+ * List the tool calls made by the assistant in a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getToolCalls = async (req, res, next) => {
+    try {
+        const { conversationId } = req.params;
+
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const toolCalls = await databaseService.findToolCalls(conversationId, limit);
+
+        res.status(200).json({
+            success: true,
+            toolCalls
+        });
+    } catch (error) {
+        logger.error('Error getting tool calls:', error);
+        next(error);
+    }
+};
+
+/**
+ * Stream assistant activity (run status, text deltas, tool calls and replies) as server-sent events,
+ * for every conversation or the one given in the conversationId query parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const streamEvents = (req, res, next) => {
+    try {
+        const { conversationId } = req.query;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // compression() buffers output unless told to flush
+        const write = (chunk) => {
+            res.write(chunk);
+            if (res.flush) res.flush();
+        };
+
+        write(': connected\n\n');
+
+        const unsubscribe = runEvents.subscribe((event) => {
+            if (conversationId && event.conversation_id !== conversationId) return;
+            write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        });
+
+        // Keeps proxies from closing an idle connection
+        const heartbeat = setInterval(() => write(': ping\n\n'), 15000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (error) {
+        logger.error('Error streaming assistant events:', error);
+        next(error);
+    }
+};
+
 module.exports = {
     createThread,
     addMessageToThread,
@@ -267,5 +379,8 @@ module.exports = {
     waitForRun,
     getMessages,
     getLastAssistantMessage,
-    uploadFile
+    uploadFile,
+    listTools,
+    getToolCalls,
+    streamEvents
 };
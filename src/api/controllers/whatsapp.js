@@ -1,7 +1,14 @@
 const whatsappService = require('../../services/whatsapp.js');
 const databaseService = require('../../services/database.js');
 const openaiService = require('../../services/openai.js');
+const templateService = require('../../services/templates.js');
+const handoffService = require('../../services/handoff.js');
+const contactService = require('../../services/contacts.js');
+const consentService = require('../../services/consent.js');
+const jobQueue = require('../../queue/index.js');
+const { WEBHOOK_QUEUE } = require('../../jobs/webhook.js');
 const logger = require('../../utils/logger.js');
+const { decodeCursor } = require('../../utils/cursor.js');
 const { ApiError } = require('../../utils/errors.js');
 
 /**
@@ -49,8 +56,9 @@ const handleWebhook = async (req, res, next) => {
     try {
         const data = req.body;
 
-        // Process the incoming webhook data
-        const result = await whatsappService.processWebhook(data);
+        // Persist the payload and acknowledge right away; a background worker processes it
+        const job = await jobQueue.enqueue(WEBHOOK_QUEUE, data);
+        logger.info(`Webhook queued as job ${job.id}`);
 
         // Return success response
         res.status(200).json({ success: true });
@@ -88,9 +96,10 @@ const sendMessage = async (req, res, next) => {
             conversationId
         );
 
-        res.status(200).json({
+        res.status(202).json({
             success: true,
-            messageId: result.id
+            messageId: result.id,
+            status: result.status
         });
     } catch (error) {
         logger.error('Error sending message:', error);
@@ -99,7 +108,8 @@ const sendMessage = async (req, res, next) => {
 };
 
 /**
- * Send a media message to a WhatsApp user
+ * Send a media message to a WhatsApp user. JSON requests send `mediaData` by link,
+ * multipart requests upload the `file` field and send it by media ID
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -108,30 +118,331 @@ const sendMediaMessage = async (req, res, next) => {
     try {
         const { to, mediaData, conversationId, phoneNumberId } = req.body;
 
-        if (!to || !mediaData || !conversationId || !phoneNumberId) {
-            throw new ApiError(400, 'Missing required parameters');
+        // Find conversation
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
         }
 
+        // Send media message
+        const result = req.file
+            ? await whatsappService.sendUploadedMedia(
+                to,
+                req.file,
+                { type: req.body.type, caption: req.body.caption, filename: req.body.filename },
+                phoneNumberId,
+                conversationId
+            )
+            : await whatsappService.sendMediaMessage(
+                to,
+                mediaData,
+                phoneNumberId,
+                conversationId
+            );
+
+        res.status(202).json({
+            success: true,
+            messageId: result.id,
+            status: result.status
+        });
+    } catch (error) {
+        logger.error('Error sending media message:', error);
+        next(error);
+    }
+};
+
+/**
+ * Send reply buttons to a WhatsApp user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const sendButtons = async (req, res, next) => {
+    try {
+        const { to, conversationId, phoneNumberId, header, body, footer, buttons } = req.body;
+
         // Find conversation
         const conversation = await databaseService.findConversationById(conversationId);
         if (!conversation) {
             throw new ApiError(404, 'Conversation not found');
         }
 
-        // Send media message
-        const result = await whatsappService.sendMediaMessage(
+        // Send buttons
+        const result = await whatsappService.sendReplyButtons(
+            to,
+            { header, body, footer, buttons },
+            phoneNumberId,
+            conversationId
+        );
+
+        res.status(202).json({
+            success: true,
+            messageId: result.id,
+            status: result.status
+        });
+    } catch (error) {
+        logger.error('Error sending reply buttons:', error);
+        next(error);
+    }
+};
+
+/**
+ * Send a list message to a WhatsApp user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const sendList = async (req, res, next) => {
+    try {
+        const { to, conversationId, phoneNumberId, header, body, footer, buttonText, sections } = req.body;
+
+        // Find conversation
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+
+        // Send list
+        const result = await whatsappService.sendListMessage(
+            to,
+            { header, body, footer, buttonText, sections },
+            phoneNumberId,
+            conversationId
+        );
+
+        res.status(202).json({
+            success: true,
+            messageId: result.id,
+            status: result.status
+        });
+    } catch (error) {
+        logger.error('Error sending list message:', error);
+        next(error);
+    }
+};
+
+/**
+ * Send a call-to-action URL button to a WhatsApp user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const sendCtaUrl = async (req, res, next) => {
+    try {
+        const { to, conversationId, phoneNumberId, header, body, footer, displayText, url } = req.body;
+
+        // Find conversation
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+
+        // Send CTA URL button
+        const result = await whatsappService.sendCtaUrlMessage(
+            to,
+            { header, body, footer, displayText, url },
+            phoneNumberId,
+            conversationId
+        );
+
+        res.status(202).json({
+            success: true,
+            messageId: result.id,
+            status: result.status
+        });
+    } catch (error) {
+        logger.error('Error sending CTA URL message:', error);
+        next(error);
+    }
+};
+
+/**
+ * Send a registered template message to a WhatsApp user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const sendTemplate = async (req, res, next) => {
+    try {
+        const { to, conversationId, phoneNumberId, name, language, parameters } = req.body;
+
+        // Find conversation
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+
+        // Send template
+        const result = await whatsappService.sendTemplateMessage(
             to,
-            mediaData,
+            { name, language, parameters },
             phoneNumberId,
             conversationId
         );
 
+        res.status(202).json({
+            success: true,
+            messageId: result.id,
+            status: result.status,
+            text: result.text
+        });
+    } catch (error) {
+        logger.error('Error sending template message:', error);
+        next(error);
+    }
+};
+
+/**
+ * List registered message templates with the parameters each one expects
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listTemplates = async (req, res, next) => {
+    try {
+        const { category } = req.query;
+
+        const templates = await databaseService.findMessageTemplates({ category });
+
         res.status(200).json({
             success: true,
-            messageId: result.id
+            count: templates.length,
+            templates: templates.map((template) => ({
+                ...template,
+                parameters: templateService.describeParameters(template)
+            }))
         });
     } catch (error) {
-        logger.error('Error sending media message:', error);
+        logger.error('Error listing message templates:', error);
+        next(error);
+    }
+};
+
+/**
+ * Register a message template, or replace the definition with the same name and language
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const saveTemplate = async (req, res, next) => {
+    try {
+        const template = await templateService.register(req.body);
+
+        res.status(200).json({
+            success: true,
+            template: {
+                ...template,
+                parameters: templateService.describeParameters(template)
+            }
+        });
+    } catch (error) {
+        logger.error('Error saving message template:', error);
+        next(error);
+    }
+};
+
+/**
+ * Remove a message template from the registry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deleteTemplate = async (req, res, next) => {
+    try {
+        const { name, language } = req.params;
+
+        const removed = await databaseService.removeMessageTemplate(name, language);
+        if (!removed) {
+            throw new ApiError(404, 'Template not found');
+        }
+
+        res.status(200).json({ success: true });
+    } catch (error) {
+        logger.error('Error removing message template:', error);
+        next(error);
+    }
+};
+
+/**
+ * List outbound messages whose delivery failed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listFailedSends = async (req, res, next) => {
+    try {
+        const { phoneNumberId, limit } = req.query;
+
+        const messages = await databaseService.findFailedOutboundMessages(
+            { business_phone_number_id: phoneNumberId },
+            limit ? Math.min(parseInt(limit), 500) : undefined
+        );
+
+        res.status(200).json({
+            success: true,
+            count: messages.length,
+            messages
+        });
+    } catch (error) {
+        logger.error('Error listing failed sends:', error);
+        next(error);
+    }
+};
+
+/**
+ * Queue a failed outbound message for delivery again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const retryFailedSend = async (req, res, next) => {
+    try {
+        const { messageId } = req.params;
+
+        const message = await whatsappService.retryOutboundMessage(messageId);
+
+        res.status(202).json({
+            success: true,
+            messageId: message.id,
+            status: message.status
+        });
+    } catch (error) {
+        logger.error('Error retrying failed send:', error);
+        next(error);
+    }
+};
+
+/**
+ * Stream the stored media of a message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getMedia = async (req, res, next) => {
+    try {
+        const { messageId } = req.params;
+
+        const { media, stream, size } = await whatsappService.getStoredMedia(messageId);
+
+        res.set('Content-Type', media.mime_type || 'application/octet-stream');
+        if (size) {
+            res.set('Content-Length', String(size));
+        }
+        if (media.filename) {
+            res.attachment(media.filename);
+        }
+
+        stream.on('error', (error) => {
+            logger.error(`Error streaming media of message ${messageId}:`, error);
+            if (res.headersSent) {
+                res.destroy(error);
+            } else {
+                next(error);
+            }
+        });
+        stream.pipe(res);
+    } catch (error) {
+        logger.error('Error getting media:', error);
         next(error);
     }
 };
@@ -169,7 +480,7 @@ const markAsRead = async (req, res, next) => {
 const getMessages = async (req, res, next) => {
     try {
         const { conversationId } = req.params;
-        const { type, status } = req.query;
+        const { type, status, before, after, limit, cursor } = req.query;
 
         if (!conversationId) {
             throw new ApiError(400, 'Missing conversation ID');
@@ -181,17 +492,24 @@ const getMessages = async (req, res, next) => {
             throw new ApiError(404, 'Conversation not found');
         }
 
+        // A cursor continues the listing in the order it was started with
+        const filters = { type, status, before, after };
+        const position = cursor
+            ? decodeCursor(cursor, ['created_at'], { conversation_id: conversationId, ...filters })
+            : null;
+
         // Get messages
-        const messages = await databaseService.findMessagesByConversation(
+        const { messages, nextCursor } = await databaseService.findMessagePage(
             conversationId,
-            type || null,
-            status || null
+            filters,
+            { order: position ? position.order : req.query.order, limit, after: position }
         );
 
         res.status(200).json({
             success: true,
             count: messages.length,
-            messages
+            messages,
+            nextCursor
         });
     } catch (error) {
         logger.error('Error getting messages:', error);
@@ -199,6 +517,53 @@ const getMessages = async (req, res, next) => {
     }
 };
 
+/**
+ * List conversations with filters, sorted by a date and paginated with a cursor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listConversations = async (req, res, next) => {
+    try {
+        const { status, waId, userId, patientId, phoneNumberId, from, to, hasUnread, q, limit, cursor } = req.query;
+
+        const filters = {
+            statuses: status ? status.split(',') : null,
+            wa_id: waId,
+            user_id: userId,
+            patient_id: patientId,
+            business_phone_number_id: phoneNumberId,
+            created_from: from,
+            created_to: to,
+            has_unread: hasUnread,
+            query: q || null
+        };
+
+        // A cursor continues the listing in the order it was started with
+        const position = cursor ? decodeCursor(cursor, ['updated_at', 'created_at'], filters) : null;
+
+        const { conversations, nextCursor } = await databaseService.searchConversations(
+            filters,
+            {
+                sort: position ? position.sort : req.query.sort,
+                order: position ? position.order : req.query.order,
+                limit,
+                after: position
+            }
+        );
+
+        res.status(200).json({
+            success: true,
+            count: conversations.length,
+            conversations,
+            nextCursor
+        });
+    } catch (error) {
+        logger.error('Error listing conversations:', error);
+        next(error);
+    }
+};
+
 /**
  * Process a message with OpenAI and send the response via WhatsApp
  * @param {Object} req - Express request object
@@ -219,43 +584,493 @@ const processMessageWithAI = async (req, res, next) => {
             throw new ApiError(404, 'Conversation not found');
         }
 
+        if (handoffService.isTaken(conversation)) {
+            throw new ApiError(409, 'Conversation is taken by a human agent');
+        }
+
         const message = await databaseService.findMessageById(messageId);
         if (!message) {
             throw new ApiError(404, 'Message not found');
         }
 
-        // Process with OpenAI
+        // Send a reply via WhatsApp
+        const sendText = (text) => whatsappService.sendTextMessage(
+            conversation.wa_id,
+            text,
+            phoneNumberId,
+            conversationId
+        );
+        const sendResponse = (aiResponse) => (aiResponse.text ? sendText(aiResponse.text) : null);
+
+        // Process with the conversation's provider; replies to input queued during the run are sent as they come
+        const provider = openaiService.resolveProvider(conversation, phoneNumberId);
         const aiResponse = await openaiService.processConversation(
-            message.text,
-            conversation
+            await openaiService.buildUserInput([message], { files: provider.acceptsFiles }),
+            conversation,
+            { phoneNumberId, onResponse: sendResponse, onPartial: sendText }
         );
 
-        if (!aiResponse || !aiResponse.content || aiResponse.content.length === 0) {
+        if (aiResponse === null) {
+            // A run is already active: the message was queued and will be answered by that run's holder
+            res.status(202).json({
+                success: true,
+                queued: true
+            });
+            return;
+        }
+
+        if (!aiResponse.text && !aiResponse.early_text) {
             throw new ApiError(500, 'No response from AI');
         }
 
-        // Extract text from AI response
-        let responseText = '';
-        for (const contentPart of aiResponse.content) {
-            if (contentPart.type === 'text') {
-                responseText += contentPart.text.value;
+        // Send response via WhatsApp (what the first paragraph sent early left of it)
+        const result = await sendResponse(aiResponse);
+
+        res.status(200).json({
+            success: true,
+            messageId: result ? result.id : null
+        });
+    } catch (error) {
+        logger.error('Error processing message with AI:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get a conversation with the state of its customer service window
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getConversation = async (req, res, next) => {
+    try {
+        const { conversationId } = req.params;
+
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+
+        const serviceWindow = await whatsappService.getServiceWindow(conversationId);
+
+        res.status(200).json({
+            success: true,
+            conversation: {
+                ...conversation,
+                service_window: serviceWindow
+            }
+        });
+    } catch (error) {
+        logger.error('Error getting conversation:', error);
+        next(error);
+    }
+};
+
+/**
+ * Enable or disable the AI auto-responder for a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const setAutoReply = async (req, res, next) => {
+    try {
+        const { conversationId } = req.params;
+        const { enabled } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            throw new ApiError(400, 'enabled must be a boolean');
+        }
+
+        // Find conversation
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+
+        await conversation.updateConfig({ auto_reply: enabled });
+
+        res.status(200).json({
+            success: true,
+            autoReply: enabled
+        });
+    } catch (error) {
+        logger.error('Error updating auto-reply setting:', error);
+        next(error);
+    }
+};
+
+/**
+ * Choose the LLM provider (and optionally the model) answering a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const setProvider = async (req, res, next) => {
+    try {
+        const { conversationId } = req.params;
+        const { provider, model } = req.body;
+
+        if (provider !== null && typeof provider !== 'string') {
+            throw new ApiError(400, 'provider must be a provider name, or null to use the default');
+        }
+        if (model !== undefined && model !== null && typeof model !== 'string') {
+            throw new ApiError(400, 'model must be a string');
+        }
+
+        // Find conversation
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+
+        if (provider) {
+            try {
+                openaiService.providers.get(provider);
+            } catch (error) {
+                throw new ApiError(400, error.message);
             }
         }
 
-        // Send response via WhatsApp
-        const result = await whatsappService.sendTextMessage(
-            conversation.wa_id,
-            responseText,
-            phoneNumberId,
-            conversationId
+        await conversation.updateConfig({ provider: provider || null, model: model || null });
+
+        res.status(200).json({
+            success: true,
+            provider: provider || null,
+            model: model || null
+        });
+    } catch (error) {
+        logger.error('Error updating conversation provider:', error);
+        next(error);
+    }
+};
+
+/**
+ * Move a conversation to another lifecycle status (active, pending or closed)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const setStatus = async (req, res, next) => {
+    try {
+        const { conversationId } = req.params;
+        const { status, reason } = req.body;
+
+        if (status === 'taken') {
+            throw new ApiError(400, 'Use /take to hand a conversation over to an agent');
+        }
+        if (!['active', 'pending', 'closed'].includes(status)) {
+            throw new ApiError(400, 'status must be one of active, pending, closed');
+        }
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+            throw new ApiError(400, 'reason must be a string');
+        }
+
+        // Find conversation
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+        if (handoffService.isTaken(conversation) && status !== 'closed') {
+            throw new ApiError(409, 'Use /release to give a taken conversation back to the AI');
+        }
+
+        await conversation.transition(status, reason || null);
+
+        res.status(200).json({
+            success: true,
+            status: conversation.status,
+            statusHistory: conversation.status_history
+        });
+    } catch (error) {
+        logger.error('Error updating conversation status:', error);
+        next(error);
+    }
+};
+
+/**
+ * Hand a conversation over to a human agent, pausing the AI until it is released
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const takeConversation = async (req, res, next) => {
+    try {
+        const { conversationId } = req.params;
+        const { agentId, reason } = req.body;
+
+        if (typeof agentId !== 'string' || agentId.trim() === '') {
+            throw new ApiError(400, 'agentId is required');
+        }
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+            throw new ApiError(400, 'reason must be a string');
+        }
+
+        const conversation = await handoffService.take(conversationId, { agentId, reason: reason || null });
+
+        res.status(200).json({
+            success: true,
+            status: conversation.status,
+            handoff: conversation.config.handoff
+        });
+    } catch (error) {
+        logger.error('Error taking conversation:', error);
+        next(error);
+    }
+};
+
+/**
+ * Give a taken conversation back to the AI
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const releaseConversation = async (req, res, next) => {
+    try {
+        const { conversationId } = req.params;
+        const { agentId, reason } = req.body;
+
+        if (typeof agentId !== 'string' || agentId.trim() === '') {
+            throw new ApiError(400, 'agentId is required');
+        }
+        if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+            throw new ApiError(400, 'reason must be a string');
+        }
+
+        const conversation = await handoffService.release(conversationId, { agentId, reason: reason || null });
+
+        res.status(200).json({
+            success: true,
+            status: conversation.status,
+            handoff: conversation.config.handoff
+        });
+    } catch (error) {
+        logger.error('Error releasing conversation:', error);
+        next(error);
+    }
+};
+
+/**
+ * List contacts, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const listContacts = async (req, res, next) => {
+    try {
+        const { name, userId, patientId, limit, cursor } = req.query;
+
+        const filters = { name, user_id: userId, patient_id: patientId };
+        const { contacts, nextCursor } = await contactService.list(
+            filters,
+            { limit, after: cursor ? decodeCursor(cursor, ['created_at'], filters) : null }
         );
 
         res.status(200).json({
             success: true,
-            messageId: result.id
+            count: contacts.length,
+            contacts,
+            nextCursor
         });
     } catch (error) {
-        logger.error('Error processing message with AI:', error);
+        logger.error('Error listing contacts:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get the contact of a WhatsApp user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getContact = async (req, res, next) => {
+    try {
+        const contact = await contactService.get(req.params.waId);
+
+        res.status(200).json({
+            success: true,
+            contact
+        });
+    } catch (error) {
+        logger.error('Error getting contact:', error);
+        next(error);
+    }
+};
+
+/**
+ * Create the contact of a WhatsApp user who has not written yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const createContact = async (req, res, next) => {
+    try {
+        const { waId, profileName, locale, attributes, userId, patientId } = req.body;
+
+        const contact = await contactService.create({
+            wa_id: waId,
+            profile_name: profileName,
+            locale,
+            attributes,
+            user_id: userId,
+            patient_id: patientId
+        });
+
+        res.status(201).json({
+            success: true,
+            contact
+        });
+    } catch (error) {
+        logger.error('Error creating contact:', error);
+        next(error);
+    }
+};
+
+/**
+ * Update the locale, attributes or links of a contact
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const updateContact = async (req, res, next) => {
+    try {
+        const { locale, attributes, userId, patientId } = req.body;
+
+        const contact = await contactService.update(req.params.waId, {
+            locale,
+            attributes,
+            user_id: userId,
+            patient_id: patientId
+        });
+
+        res.status(200).json({
+            success: true,
+            contact
+        });
+    } catch (error) {
+        logger.error('Error updating contact:', error);
+        next(error);
+    }
+};
+
+/**
+ * Delete a contact
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const deleteContact = async (req, res, next) => {
+    try {
+        await contactService.delete(req.params.waId);
+
+        res.status(200).json({
+            success: true
+        });
+    } catch (error) {
+        logger.error('Error deleting contact:', error);
+        next(error);
+    }
+};
+
+/**
+ * Get the consent of a WhatsApp user: current state per business number and category, and the log
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const getConsents = async (req, res, next) => {
+    try {
+        const { current, history } = await consentService.get(req.params.waId);
+
+        res.status(200).json({
+            success: true,
+            waId: req.params.waId,
+            current,
+            history
+        });
+    } catch (error) {
+        logger.error('Error getting consents:', error);
+        next(error);
+    }
+};
+
+/**
+ * Record a consent change of a WhatsApp user made outside WhatsApp (web form, call center...)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const updateConsent = async (req, res, next) => {
+    try {
+        const { phoneNumberId, status, category, detail } = req.body;
+
+        const consents = await consentService.record(req.params.waId, phoneNumberId, {
+            status,
+            source: 'api',
+            ...(category && { categories: [category] }),
+            detail
+        });
+
+        res.status(200).json({
+            success: true,
+            consents
+        });
+    } catch (error) {
+        logger.error('Error updating consent:', error);
+        next(error);
+    }
+};
+
+/**
+ * Export the consent log for audits, as CSV or JSON. The log is streamed in batches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const exportConsents = async (req, res, next) => {
+    try {
+        const { format, waId, phoneNumberId, category, from, to } = req.query;
+        const batches = consentService.export({
+            wa_id: waId,
+            business_phone_number_id: phoneNumberId,
+            category,
+            from,
+            to
+        });
+
+        // Read the first batch before answering, so a failing query still gets an error response
+        let batch = await batches.next();
+        const filename = `consents-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.status(200);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            res.type('text/csv');
+            res.write(consentService.csvHeader());
+        } else {
+            res.type('application/json');
+            res.write('{"success":true,"consents":[');
+        }
+
+        let first = true;
+        while (!batch.done) {
+            if (format === 'csv') {
+                res.write(batch.value.map((consent) => consentService.toCsv(consent)).join(''));
+            } else {
+                res.write(`${first ? '' : ','}${batch.value.map((consent) => JSON.stringify(consent)).join(',')}`);
+            }
+            first = false;
+            batch = await batches.next();
+        }
+
+        res.end(format === 'csv' ? '' : ']}');
+    } catch (error) {
+        logger.error('Error exporting consents:', error);
+        if (res.headersSent) {
+            // Part of the export was sent: cut the response so it can't be mistaken for a complete one
+            res.destroy(error);
+            return;
+        }
         next(error);
     }
 };
@@ -265,7 +1080,32 @@ module.exports = {
     handleWebhook,
     sendMessage,
     sendMediaMessage,
+    sendButtons,
+    sendList,
+    sendCtaUrl,
+    sendTemplate,
+    listTemplates,
+    saveTemplate,
+    deleteTemplate,
+    listFailedSends,
+    retryFailedSend,
+    getMedia,
     markAsRead,
     getMessages,
-    processMessageWithAI
+    listConversations,
+    processMessageWithAI,
+    getConversation,
+    setAutoReply,
+    setProvider,
+    setStatus,
+    takeConversation,
+    releaseConversation,
+    listContacts,
+    getContact,
+    createContact,
+    updateContact,
+    deleteContact,
+    getConsents,
+    updateConsent,
+    exportConsents
 };
@@ -0,0 +1,28 @@
+const express = require('express');
+const jobsController = require('../controllers/jobs.js');
+
+// Create router for private endpoints only
+const privateRouter = express.Router();
+
+/**
+ * @route GET /internal/jobs/dead
+ * @desc List dead-lettered jobs (optional ?queue= and ?limit=)
+ * @access Private
+ */
+privateRouter.get('/dead', jobsController.listDeadJobs);
+
+/**
+ * @route GET /internal/jobs/:jobId
+ * @desc Get a job, including its payload, attempts and last error
+ * @access Private
+ */
+privateRouter.get('/:jobId', jobsController.getJob);
+
+/**
+ * @route POST /internal/jobs/:jobId/replay
+ * @desc Move a dead-lettered job back to its queue
+ * @access Private
+ */
+privateRouter.post('/:jobId/replay', jobsController.replayJob);
+
+module.exports = { privateRouter };
@@ -26,5 +26,8 @@ privateRouter.get('/threads/:threadId/runs/:runId/wait', openaiController.waitFo
 privateRouter.get('/threads/:threadId/messages', openaiController.getMessages);
 privateRouter.get('/threads/:threadId/messages/last', openaiController.getLastAssistantMessage);
 privateRouter.post('/files', upload.single('file'), openaiController.uploadFile);
+privateRouter.get('/tools', openaiController.listTools);
+privateRouter.get('/conversations/:conversationId/tool-calls', openaiController.getToolCalls);
+privateRouter.get('/events', openaiController.streamEvents);
 
 module.exports = { privateRouter };
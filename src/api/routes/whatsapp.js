@@ -1,5 +1,29 @@
 const express = require('express');
+const multer = require('multer');
 const whatsappController = require('../controllers/whatsapp.js');
+const { verifyWebhookSignature } = require('../../middleware/webhookSignature.js');
+const { validate, schemas } = require('../../middleware/validator.js');
+const { apiKeyAuth } = require('../../middleware/internalAccess.js');
+const { MAX_MEDIA_SIZE } = require('../../utils/media.js');
+
+// Media uploads are kept in memory; per-type limits are checked by the WhatsApp service
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_MEDIA_SIZE
+    }
+});
+
+/**
+ * Validate sendMedia against the JSON (link) or multipart (upload) schema
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const validateSendMedia = (req, res, next) => {
+    const schema = req.is('multipart/form-data') ? schemas.whatsapp.uploadMedia : schemas.whatsapp.sendMedia;
+    return validate(schema)(req, res, next);
+};
 
 // Create separate routers for public and private endpoints
 const publicRouter = express.Router();
@@ -15,10 +39,10 @@ publicRouter.get('/webhook', whatsappController.verifyWebhook);
 
 /**
  * @route POST /api/whatsapp/webhook
- * @desc Handle incoming webhook data from WhatsApp
+ * @desc Handle incoming webhook data from WhatsApp (requires a valid X-Hub-Signature-256)
  * @access Public
  */
-publicRouter.post('/webhook', whatsappController.handleWebhook);
+publicRouter.post('/webhook', verifyWebhookSignature, whatsappController.handleWebhook);
 
 // Private endpoints (internal only)
 /**
@@ -30,10 +54,81 @@ privateRouter.post('/send', whatsappController.sendMessage);
 
 /**
  * @route POST /internal/whatsapp/sendMedia
- * @desc Send a media message to a WhatsApp user
+ * @desc Send a media message to a WhatsApp user: JSON with a public link, or
+ * multipart/form-data with a `file` that is uploaded to WhatsApp first
+ * @access Private
+ */
+privateRouter.post('/sendMedia', upload.single('file'), validateSendMedia, whatsappController.sendMediaMessage);
+
+/**
+ * @route POST /internal/whatsapp/sendButtons
+ * @desc Send up to 3 reply buttons to a WhatsApp user
+ * @access Private
+ */
+privateRouter.post('/sendButtons', validate(schemas.whatsapp.sendButtons), whatsappController.sendButtons);
+
+/**
+ * @route POST /internal/whatsapp/sendList
+ * @desc Send a list message (sections and rows) to a WhatsApp user
+ * @access Private
+ */
+privateRouter.post('/sendList', validate(schemas.whatsapp.sendList), whatsappController.sendList);
+
+/**
+ * @route POST /internal/whatsapp/sendCtaUrl
+ * @desc Send a call-to-action URL button to a WhatsApp user
+ * @access Private
+ */
+privateRouter.post('/sendCtaUrl', validate(schemas.whatsapp.sendCtaUrl), whatsappController.sendCtaUrl);
+
+/**
+ * @route POST /internal/whatsapp/sendTemplate
+ * @desc Send a registered template, validating its parameters first
+ * @access Private
+ */
+privateRouter.post('/sendTemplate', validate(schemas.whatsapp.sendTemplate), whatsappController.sendTemplate);
+
+/**
+ * @route GET /internal/whatsapp/templates
+ * @desc List registered templates and their parameter schema (optional ?category=)
+ * @access Private
+ */
+privateRouter.get('/templates', whatsappController.listTemplates);
+
+/**
+ * @route PUT /internal/whatsapp/templates
+ * @desc Register a template or replace the one with the same name and language
+ * @access Private
+ */
+privateRouter.put('/templates', validate(schemas.whatsapp.template), whatsappController.saveTemplate);
+
+/**
+ * @route DELETE /internal/whatsapp/templates/:name/:language
+ * @desc Remove a template from the registry
+ * @access Private
+ */
+privateRouter.delete('/templates/:name/:language', whatsappController.deleteTemplate);
+
+/**
+ * @route GET /internal/whatsapp/outbound/failed
+ * @desc List outbound messages whose delivery failed (optional ?phoneNumberId= and ?limit=)
+ * @access Private
+ */
+privateRouter.get('/outbound/failed', whatsappController.listFailedSends);
+
+/**
+ * @route POST /internal/whatsapp/outbound/:messageId/retry
+ * @desc Queue a failed outbound message for delivery again
  * @access Private
  */
-privateRouter.post('/sendMedia', whatsappController.sendMediaMessage);
+privateRouter.post('/outbound/:messageId/retry', whatsappController.retryFailedSend);
+
+/**
+ * @route GET /internal/whatsapp/media/:messageId
+ * @desc Stream the stored copy of an inbound message's media. Always requires X-API-Key
+ * @access Private
+ */
+privateRouter.get('/media/:messageId', apiKeyAuth, whatsappController.getMedia);
 
 /**
  * @route POST /internal/whatsapp/markAsRead
@@ -44,10 +139,21 @@ privateRouter.post('/markAsRead', whatsappController.markAsRead);
 
 /**
  * @route GET /internal/whatsapp/messages/:conversationId
- * @desc Get messages for a conversation
+ * @desc Get messages for a conversation, including each message's delivery status history.
+ *       Filter with ?type= (text, image, sticker, interactive, button, reaction, order, system, ...), ?status=,
+ *       ?before= and ?after=. Paginated with ?limit= (default 100) and the returned nextCursor (?cursor=)
  * @access Private
  */
-privateRouter.get('/messages/:conversationId', whatsappController.getMessages);
+privateRouter.get('/messages/:conversationId', validate(schemas.listMessages), whatsappController.getMessages);
+
+/**
+ * @route GET /internal/whatsapp/conversations
+ * @desc List conversations. Filter with ?status=, ?waId=, ?userId=, ?patientId=, ?phoneNumberId=, ?from=, ?to=,
+ *       ?hasUnread= and ?q= (full-text search over message text). Sorted with ?sort= and ?order=, paginated
+ *       with ?limit= (default 20) and the returned nextCursor (?cursor=)
+ * @access Private
+ */
+privateRouter.get('/conversations', validate(schemas.listConversations), whatsappController.listConversations);
 
 /**
  * @route POST /internal/whatsapp/processWithAI
@@ -56,4 +162,103 @@ privateRouter.get('/messages/:conversationId', whatsappController.getMessages);
  */
 privateRouter.post('/processWithAI', whatsappController.processMessageWithAI);
 
+/**
+ * @route GET /internal/whatsapp/conversations/:conversationId
+ * @desc Get a conversation, including whether its 24-hour service window is open and when it expires
+ * @access Private
+ */
+privateRouter.get('/conversations/:conversationId', whatsappController.getConversation);
+
+/**
+ * @route PUT /internal/whatsapp/conversations/:conversationId/autoReply
+ * @desc Enable or disable the AI auto-responder for a conversation
+ * @access Private
+ */
+privateRouter.put('/conversations/:conversationId/autoReply', whatsappController.setAutoReply);
+
+/**
+ * @route PUT /internal/whatsapp/conversations/:conversationId/provider
+ * @desc Choose the LLM provider and model answering a conversation
+ * @access Private
+ */
+privateRouter.put('/conversations/:conversationId/provider', whatsappController.setProvider);
+
+/**
+ * @route PUT /internal/whatsapp/conversations/:conversationId/status
+ * @desc Move a conversation to another lifecycle status (active, pending or closed)
+ * @access Private
+ */
+privateRouter.put('/conversations/:conversationId/status', whatsappController.setStatus);
+
+/**
+ * @route POST /internal/whatsapp/conversations/:conversationId/take
+ * @desc Hand a conversation over to a human agent, pausing the AI
+ * @access Private
+ */
+privateRouter.post('/conversations/:conversationId/take', whatsappController.takeConversation);
+
+/**
+ * @route POST /internal/whatsapp/conversations/:conversationId/release
+ * @desc Give a taken conversation back to the AI
+ * @access Private
+ */
+privateRouter.post('/conversations/:conversationId/release', whatsappController.releaseConversation);
+
+/**
+ * @route GET /internal/whatsapp/contacts
+ * @desc List contacts. Filter with ?name=, ?userId= and ?patientId=, paginated with ?limit= and ?cursor=
+ * @access Private
+ */
+privateRouter.get('/contacts', validate(schemas.contact.list), whatsappController.listContacts);
+
+/**
+ * @route POST /internal/whatsapp/contacts
+ * @desc Create the contact of a WhatsApp user who has not written yet
+ * @access Private
+ */
+privateRouter.post('/contacts', validate(schemas.contact.create), whatsappController.createContact);
+
+/**
+ * @route GET /internal/whatsapp/contacts/:waId
+ * @desc Get a contact, with its profile name history
+ * @access Private
+ */
+privateRouter.get('/contacts/:waId', whatsappController.getContact);
+
+/**
+ * @route PATCH /internal/whatsapp/contacts/:waId
+ * @desc Update the locale, attributes (merged, null removes one) or user and patient links of a contact
+ * @access Private
+ */
+privateRouter.patch('/contacts/:waId', validate(schemas.contact.update), whatsappController.updateContact);
+
+/**
+ * @route DELETE /internal/whatsapp/contacts/:waId
+ * @desc Delete a contact
+ * @access Private
+ */
+privateRouter.delete('/contacts/:waId', whatsappController.deleteContact);
+
+/**
+ * @route GET /internal/whatsapp/contacts/:waId/consents
+ * @desc Get the consent of a WhatsApp user per business number and category, with its log
+ * @access Private
+ */
+privateRouter.get('/contacts/:waId/consents', validate(schemas.consent.get), whatsappController.getConsents);
+
+/**
+ * @route PUT /internal/whatsapp/contacts/:waId/consents
+ * @desc Opt a WhatsApp user in or out of a category (or every category) of messages from a business number
+ * @access Private
+ */
+privateRouter.put('/contacts/:waId/consents', validate(schemas.consent.update), whatsappController.updateConsent);
+
+/**
+ * @route GET /internal/whatsapp/consents/export
+ * @desc Export the consent log as CSV (default) or JSON with ?format=. Filter with ?waId=, ?phoneNumberId=,
+ * ?category=, ?from= and ?to=
+ * @access Private
+ */
+privateRouter.get('/consents/export', validate(schemas.consent.export), whatsappController.exportConsents);
+
 module.exports = { publicRouter, privateRouter };
@@ -7,7 +7,9 @@ const dotenv = require('dotenv');
 
 const whatsappRoutes = require('./api/routes/whatsapp.js');
 const openaiRoutes = require('./api/routes/openai.js');
+const jobsRoutes = require('./api/routes/jobs.js');
 const errorMiddleware = require('./middleware/errorHandler.js');
+const { captureRawBody } = require('./middleware/webhookSignature.js');
 const logger = require('./utils/logger.js');
 
 dotenv.config();
@@ -18,8 +20,8 @@ const app = express();
 // Set security HTTP headers
 app.use(helmet());
 
-// Parse JSON request body
-app.use(express.json({ limit: '10mb' }));
+// Parse JSON request body (keeping the raw bytes for webhook signature checks)
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 
 // Parse URL-encoded request body
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -39,6 +41,7 @@ app.use('/api/whatsapp', whatsappRoutes.publicRouter);
 // PRIVATE API ROUTES - for now, without additional security for debugging
 app.use('/internal/whatsapp', whatsappRoutes.privateRouter);
 app.use('/internal/openai', openaiRoutes.privateRouter);
+app.use('/internal/jobs', jobsRoutes.privateRouter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,22 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // Queue of the replies to inbound messages
+    queue: 'auto-reply',
+
+    // Business phone number IDs the AI auto-responder answers for, comma-separated.
+    // '*' enables every number; empty keeps the auto-responder off unless a
+    // conversation opts in through its config (auto_reply: true)
+    phoneNumberIds: (process.env.AUTO_REPLY_PHONE_NUMBER_IDS || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean),
+
+    // Quiet window used to merge a burst of messages into one assistant turn. A conversation
+    // can override it with config.debounce_ms; 0 answers every message on its own
+    debounceMs: process.env.AUTO_REPLY_DEBOUNCE_MS !== undefined && process.env.AUTO_REPLY_DEBOUNCE_MS !== ''
+        ? parseInt(process.env.AUTO_REPLY_DEBOUNCE_MS, 10)
+        : 3000
+};
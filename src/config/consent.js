@@ -0,0 +1,34 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Split a comma-separated keyword list
+ * @param {string|undefined} value - Environment value
+ * @param {string} fallback - Default list
+ * @returns {Array<string>} Keywords
+ */
+const keywordList = (value, fallback) => (value !== undefined ? value : fallback)
+    .split(',')
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+
+module.exports = {
+    // Messages that opt the user out of every message from the business number, comma-separated.
+    // The whole message must be the keyword, ignoring case, accents and punctuation
+    optOutKeywords: keywordList(process.env.CONSENT_OPT_OUT_KEYWORDS, 'stop,baja,unsubscribe,cancelar suscripcion'),
+
+    // Messages that opt the user back in, comma-separated
+    optInKeywords: keywordList(process.env.CONSENT_OPT_IN_KEYWORDS, 'start,alta,subscribe'),
+
+    // Confirmations sent when a keyword changes the consent; empty sends nothing
+    optOutReply: process.env.CONSENT_OPT_OUT_REPLY !== undefined
+        ? process.env.CONSENT_OPT_OUT_REPLY
+        : 'You will not receive more messages from us. Reply START to subscribe again.',
+    optInReply: process.env.CONSENT_OPT_IN_REPLY !== undefined
+        ? process.env.CONSENT_OPT_IN_REPLY
+        : 'You are subscribed again. Reply STOP to stop receiving messages.',
+
+    // Consents recorded per page while exporting the log
+    exportBatchSize: 1000
+};
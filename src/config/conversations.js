@@ -0,0 +1,20 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // Open conversations without messages or status changes for this long are closed, so the
+    // user's next message starts a new conversation and assistant thread. 0 never closes them
+    inactivityTimeoutMs: process.env.CONVERSATION_INACTIVITY_TIMEOUT_MS !== undefined && process.env.CONVERSATION_INACTIVITY_TIMEOUT_MS !== ''
+        ? parseInt(process.env.CONVERSATION_INACTIVITY_TIMEOUT_MS, 10)
+        : 24 * 60 * 60 * 1000,
+
+    // How often each process looks for inactive conversations
+    sweepIntervalMs: parseInt(process.env.CONVERSATION_SWEEP_INTERVAL_MS, 10) || 5 * 60 * 1000,
+
+    // Conversations closed per query while sweeping
+    sweepBatchSize: 100,
+
+    // Statuses the sweeper closes. Taken conversations wait for their handoff to be released
+    sweptStatuses: ['new', 'active', 'pending']
+};
@@ -0,0 +1,29 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // Queue of the delayed jobs that release idle handoffs
+    queue: 'handoff',
+
+    // Conversation statuses in which a person is handling the chat and the bot stays quiet
+    humanStatuses: ['taken'],
+
+    // Words that hand the conversation over to a person when a user writes them, comma-separated.
+    // Matched as whole words, ignoring case and accents
+    keywords: (process.env.HANDOFF_KEYWORDS !== undefined
+        ? process.env.HANDOFF_KEYWORDS
+        : 'agent,human,agente,humano,asesor')
+        .split(',')
+        .map(keyword => keyword.trim())
+        .filter(Boolean),
+
+    // Text sent to the user when a keyword hands the conversation over; empty sends nothing
+    keywordReply: process.env.HANDOFF_KEYWORD_REPLY || '',
+
+    // A taken conversation without messages in either direction for this long goes back
+    // to the bot. 0 keeps it taken until it is released
+    idleTimeoutMs: process.env.HANDOFF_IDLE_TIMEOUT_MS !== undefined && process.env.HANDOFF_IDLE_TIMEOUT_MS !== ''
+        ? parseInt(process.env.HANDOFF_IDLE_TIMEOUT_MS, 10)
+        : 30 * 60 * 1000
+};
@@ -0,0 +1,54 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Parse a "phone-number-id:provider" list
+ * @param {string} value - Raw environment value
+ * @returns {Object} Provider name by business phone number ID
+ */
+const parseProviderMap = (value) => (value || '')
+    .split(',')
+    .map(item => item.split(':').map(part => part.trim()))
+    .filter(([phoneNumberId, provider]) => phoneNumberId && provider)
+    .reduce((map, [phoneNumberId, provider]) => ({ ...map, [phoneNumberId]: provider }), {});
+
+module.exports = {
+    // Provider answering conversations that don't pick one through config.provider
+    // or LLM_PROVIDER_BY_PHONE_NUMBER: assistants | chat | responses | compatible
+    defaultProvider: process.env.LLM_PROVIDER || 'assistants',
+
+    // Provider per business phone number ("phone-number-id:provider", comma-separated)
+    providerByPhoneNumber: parseProviderMap(process.env.LLM_PROVIDER_BY_PHONE_NUMBER),
+
+    // System instructions for the providers that rebuild the conversation themselves
+    // (Assistants keep theirs on the assistant). A conversation can override them with config.instructions
+    instructions: process.env.LLM_INSTRUCTIONS || 'You are a helpful assistant answering WhatsApp messages.',
+
+    // Tell every provider what we know about the user (profile name, locale, contact attributes),
+    // so the bot can greet people by name. A conversation can override it with config.contact_context
+    contactContext: process.env.LLM_CONTACT_CONTEXT !== 'false',
+
+    // Number of stored messages sent as history by those providers
+    historyLimit: parseInt(process.env.LLM_HISTORY_LIMIT, 10) || 30,
+
+    providers: {
+        chat: {
+            type: 'chat',
+            model: process.env.LLM_CHAT_MODEL || 'gpt-4o-mini'
+        },
+        responses: {
+            type: 'responses',
+            model: process.env.LLM_RESPONSES_MODEL || 'gpt-4o-mini'
+        },
+        // Any server implementing the Chat Completions API (vLLM, Ollama, LM Studio...)
+        compatible: {
+            type: 'chat',
+            baseURL: process.env.LLM_COMPATIBLE_BASE_URL || null,
+            apiKey: process.env.LLM_COMPATIBLE_API_KEY || 'not-needed',
+            model: process.env.LLM_COMPATIBLE_MODEL || null,
+            // Local models often don't support function calling
+            tools: process.env.LLM_COMPATIBLE_TOOLS === 'true'
+        }
+    }
+};
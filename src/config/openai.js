@@ -0,0 +1,29 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // How long a conversation's run lock is held before another process may take it over.
+    // Must outlast a run (see runTimeoutMs)
+    runLockTtl: parseInt(process.env.OPENAI_RUN_LOCK_TTL_MS, 10) || 3 * 60 * 1000,
+
+    // Runs still streaming after this long are abandoned. Keep it below runLockTtl
+    runTimeoutMs: parseInt(process.env.OPENAI_RUN_TIMEOUT_MS, 10) || 2 * 60 * 1000,
+
+    // 'paragraph' sends the first complete paragraph of a streamed reply to WhatsApp while the
+    // rest is still generated, 'single' waits for the whole reply. A conversation can override
+    // it with config.reply_mode
+    replyMode: process.env.OPENAI_REPLY_MODE === 'single' ? 'single' : 'paragraph',
+
+    // What to do with user messages that arrive while a run is active on the conversation:
+    // 'append' answers them with one more run once the current run finishes,
+    // 'restart' cancels the current run and starts a new one that includes them.
+    // A conversation can override it with config.busy_strategy
+    busyStrategy: process.env.OPENAI_BUSY_STRATEGY === 'restart' ? 'restart' : 'append',
+
+    // How long a function tool handler may take before the assistant is told it timed out
+    toolTimeoutMs: parseInt(process.env.OPENAI_TOOL_TIMEOUT_MS, 10) || 10000,
+
+    // Rounds of tool calls allowed in one run before it is cancelled, guarding against loops
+    maxToolRounds: parseInt(process.env.OPENAI_MAX_TOOL_ROUNDS, 10) || 10
+};
@@ -0,0 +1,18 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // Queue every outbound WhatsApp message goes through
+    queue: 'outbound',
+
+    // Messages allowed per business phone number within rateInterval, per process
+    rateLimit: parseInt(process.env.OUTBOUND_RATE_LIMIT, 10) || 20,
+    rateInterval: parseInt(process.env.OUTBOUND_RATE_INTERVAL_MS, 10) || 1000,
+
+    // Sends running in parallel. A send waiting for its phone number's limit holds a slot
+    concurrency: parseInt(process.env.OUTBOUND_CONCURRENCY, 10) || 4,
+
+    // Attempts before a send is marked as failed. Non-retryable Graph errors fail right away
+    maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 8
+};
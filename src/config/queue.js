@@ -0,0 +1,21 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // 'mysql' stores jobs in the jobs table, 'memory' keeps them in the current process
+    driver: process.env.QUEUE_DRIVER === 'memory' ? 'memory' : 'mysql',
+
+    // How often idle workers look for new jobs
+    pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 1000,
+
+    // A job left in processing longer than this (e.g. the process crashed) is claimed again
+    lockTimeout: parseInt(process.env.QUEUE_LOCK_TIMEOUT_MS, 10) || 5 * 60 * 1000,
+
+    // Exponential backoff between attempts: base * 2^(attempt - 1), capped at max
+    backoffBase: parseInt(process.env.QUEUE_BACKOFF_BASE_MS, 10) || 2000,
+    backoffMax: parseInt(process.env.QUEUE_BACKOFF_MAX_MS, 10) || 5 * 60 * 1000,
+
+    // Attempts before a job is moved to the dead-letter store
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5
+};
@@ -0,0 +1,23 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // 'local' writes media to the filesystem, 's3' to an S3-compatible bucket
+    // (requires the @aws-sdk/client-s3 package)
+    driver: process.env.MEDIA_STORAGE_DRIVER === 's3' ? 's3' : 'local',
+
+    local: {
+        root: path.resolve(process.env.MEDIA_STORAGE_PATH || 'storage/media')
+    },
+
+    s3: {
+        bucket: process.env.MEDIA_S3_BUCKET,
+        region: process.env.MEDIA_S3_REGION || 'us-east-1',
+        // Set for S3-compatible services (MinIO, R2, Spaces...)
+        endpoint: process.env.MEDIA_S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.MEDIA_S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.MEDIA_S3_PREFIX || ''
+    }
+};
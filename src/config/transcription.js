@@ -0,0 +1,17 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+module.exports = {
+    // 'openai' transcribes inbound audio with OpenAI's transcription API, 'none' disables it
+    provider: process.env.TRANSCRIPTION_PROVIDER === 'none' ? 'none' : 'openai',
+
+    // whisper-1 also reports the detected language; gpt-4o(-mini)-transcribe only return text
+    model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+
+    // ISO-639-1 code of the language spoken in voice notes. Empty lets the model detect it
+    language: process.env.TRANSCRIPTION_LANGUAGE || null,
+
+    // Transcripts longer than this are cut before being stored and sent to the assistant
+    maxChars: parseInt(process.env.TRANSCRIPTION_MAX_CHARS, 10) || 4000
+};
@@ -0,0 +1,42 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Split a comma-separated environment variable into a list of trimmed values
+ * @param {string} value - Raw environment value
+ * @returns {Array<string>} List of values
+ */
+const parseList = (value) => (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parse a "name:language" template reference
+ * @param {string} value - Raw environment value
+ * @returns {Object|null} { name, language } or null when unset
+ */
+const parseTemplate = (value) => {
+    if (!value) return null;
+
+    const [name, language] = value.split(':').map(item => item.trim());
+    return name && language ? { name, language } : null;
+};
+
+module.exports = {
+    // Meta app secrets used to verify X-Hub-Signature-256. Several secrets can be
+    // active at the same time so a secret can be rotated without dropping webhooks.
+    appSecrets: parseList(process.env.WHATSAPP_APP_SECRETS || process.env.WHATSAPP_APP_SECRET),
+
+    // What to do with webhook POSTs that are unsigned or carry an invalid signature:
+    // 'reject' answers 401, 'quarantine' stores the payload for review without processing it
+    signatureFailureMode: process.env.WHATSAPP_SIGNATURE_FAILURE_MODE === 'quarantine' ? 'quarantine' : 'reject',
+
+    // Free-form messages can only be sent within 24 hours of the user's last message
+    serviceWindowMs: 24 * 60 * 60 * 1000,
+
+    // Registered template sent instead of a free-form message once the window has closed
+    // ("name:language"). Unset means such sends are refused
+    windowFallbackTemplate: parseTemplate(process.env.WHATSAPP_WINDOW_FALLBACK_TEMPLATE)
+};
@@ -0,0 +1,34 @@
+const autoReplyService = require('../services/autoReply.js');
+const databaseService = require('../services/database.js');
+const logger = require('../utils/logger.js');
+
+/**
+ * Answer inbound messages, alone or merged in a quiet window. Runs outside the
+ * webhook job, so a slow or failing assistant run neither blocks nor fails ingestion
+ * @param {Object} job - Queued job whose payload holds the conversation ID and message IDs
+ * @returns {Promise<void>}
+ */
+const handleAutoReplyJob = async (job) => {
+    const { conversation_id: conversationId, message_ids: messageIds } = job.payload;
+
+    const messages = [];
+    for (const messageId of messageIds) {
+        const message = await databaseService.findMessageById(messageId);
+        if (message) {
+            messages.push(message);
+        }
+    }
+    if (messages.length === 0) {
+        logger.warn(`Auto-reply job ${job.id}: messages of conversation ${conversationId} no longer exist`);
+        return;
+    }
+
+    const reply = await autoReplyService.reply(conversationId, messages);
+    if (reply) {
+        logger.info(`Auto-reply job ${job.id}: answered conversation ${conversationId}`);
+    }
+};
+
+module.exports = {
+    handleAutoReplyJob
+};
@@ -0,0 +1,21 @@
+const handoffService = require('../services/handoff.js');
+const logger = require('../utils/logger.js');
+
+/**
+ * Release a taken conversation once it has been idle for HANDOFF_IDLE_TIMEOUT_MS.
+ * A conversation with recent activity schedules a new check instead
+ * @param {Object} job - Delayed job whose payload holds the conversation ID and handoff taken_at
+ * @returns {Promise<void>}
+ */
+const handleHandoffJob = async (job) => {
+    const { conversation_id: conversationId, taken_at: takenAt } = job.payload;
+
+    const conversation = await handoffService.releaseIfIdle(conversationId, takenAt);
+    if (conversation) {
+        logger.info(`Handoff job ${job.id}: conversation ${conversationId} released after being idle`);
+    }
+};
+
+module.exports = {
+    handleHandoffJob
+};
@@ -0,0 +1,46 @@
+const jobQueue = require('../queue/index.js');
+const autoReplyService = require('../services/autoReply.js');
+const lifecycleService = require('../services/lifecycle.js');
+const outboundConfig = require('../config/outbound.js');
+const handoffConfig = require('../config/handoff.js');
+const autoReplyConfig = require('../config/autoReply.js');
+const { WEBHOOK_QUEUE, handleWebhookJob } = require('./webhook.js');
+const { handleOutboundJob } = require('./outbound.js');
+const { handleHandoffJob } = require('./handoff.js');
+const { handleAutoReplyJob } = require('./autoReply.js');
+
+/**
+ * Register the background job handlers and start their workers and the conversation sweeper
+ */
+const startWorkers = () => {
+    // Inbound message hooks run inside the webhook jobs; replies run in their own jobs
+    autoReplyService.register();
+
+    jobQueue.process(WEBHOOK_QUEUE, handleWebhookJob);
+    jobQueue.process(outboundConfig.queue, handleOutboundJob, {
+        concurrency: outboundConfig.concurrency,
+        maxAttempts: outboundConfig.maxAttempts
+    });
+    jobQueue.process(handoffConfig.queue, handleHandoffJob);
+    jobQueue.process(autoReplyConfig.queue, handleAutoReplyJob);
+    jobQueue.start();
+
+    // Inactive conversations are closed on a timer, not through the queue
+    lifecycleService.start();
+};
+
+/**
+ * Stop the background workers and the sweeper, letting running jobs finish. Messages
+ * still waiting for their quiet window are queued for an answer first
+ * @returns {Promise<void>}
+ */
+const stopWorkers = async () => {
+    await lifecycleService.stop();
+    await autoReplyService.flushPending();
+    await jobQueue.stop();
+};
+
+module.exports = {
+    startWorkers,
+    stopWorkers
+};
@@ -0,0 +1,34 @@
+const whatsappService = require('../services/whatsapp.js');
+const databaseService = require('../services/database.js');
+const queueConfig = require('../config/queue.js');
+const logger = require('../utils/logger.js');
+
+/**
+ * Deliver a queued outbound message. A failed attempt puts the message back to 'queued'
+ * until the queue gives up on it, then marks it 'failed' with the last error
+ * @param {Object} job - Queued job whose payload holds the message ID and Graph API request
+ * @returns {Promise<void>}
+ */
+const handleOutboundJob = async (job) => {
+    const { message_id: messageId } = job.payload;
+
+    try {
+        const message = await whatsappService.deliverOutboundMessage(job.payload);
+        if (message) {
+            logger.info(`Outbound job ${job.id}: message ${messageId} sent as ${message.wa_id}`);
+        }
+    } catch (error) {
+        const maxAttempts = job.max_attempts || queueConfig.maxAttempts;
+        const final = error.retryable === false || job.attempts >= maxAttempts;
+
+        await databaseService.updateMessageDelivery(messageId, {
+            status: final ? 'failed' : 'queued',
+            error: error.message
+        });
+        throw error;
+    }
+};
+
+module.exports = {
+    handleOutboundJob
+};
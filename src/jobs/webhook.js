@@ -0,0 +1,51 @@
+const whatsappService = require('../services/whatsapp.js');
+const logger = require('../utils/logger.js');
+
+const WEBHOOK_QUEUE = 'webhooks';
+
+/**
+ * Log the per-message outcomes of a processed webhook
+ * @param {string} jobId - Job ID
+ * @param {Array} outcomes - Outcomes returned by processWebhook
+ */
+const logWebhookOutcomes = (jobId, outcomes) => {
+    for (const outcome of outcomes) {
+        const line = `Webhook job ${jobId}: ${outcome.kind} ${outcome.waMessageId} -> ${outcome.result}`;
+        if (outcome.result === 'failed') {
+            logger.warn(`${line}: ${outcome.error}`);
+        } else {
+            logger.info(line);
+        }
+    }
+};
+
+/**
+ * Process a webhook payload stored by the webhook endpoint. Throwing makes the queue retry
+ * the job; messages stored on a previous attempt are skipped as duplicates
+ * @param {Object} job - Queued job whose payload is the webhook body
+ * @returns {Promise<void>}
+ */
+const handleWebhookJob = async (job) => {
+    const result = await whatsappService.processWebhook(job.payload);
+
+    if (!result.success) {
+        // Nothing we can do with a malformed payload, retrying won't help
+        logger.warn(`Webhook job ${job.id} skipped: ${result.error}`);
+        return;
+    }
+
+    const outcomes = result.outcomes || [];
+    logWebhookOutcomes(job.id, outcomes);
+
+    const failed = outcomes.filter(outcome => outcome.result === 'failed');
+    logger.info(`Webhook job ${job.id} processed: ${outcomes.length - failed.length} succeeded, ${failed.length} failed`);
+
+    if (failed.length > 0) {
+        throw new Error(`${failed.length} item(s) failed: ${failed.map(outcome => outcome.waMessageId).join(', ')}`);
+    }
+};
+
+module.exports = {
+    WEBHOOK_QUEUE,
+    handleWebhookJob
+};
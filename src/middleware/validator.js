@@ -1,12 +1,12 @@
-import Joi from 'joi';
-import { ApiError } from '../utils/errors.js';
+const Joi = require('joi');
+const { ApiError } = require('../utils/errors.js');
 
 /**
  * Validate request against a Joi schema
  * @param {Object} schema - Joi schema for validation
  * @returns {Function} Middleware function
  */
-export const validate = (schema) => (req, res, next) => {
+const validate = (schema) => (req, res, next) => {
     const validSchema = pick(schema, ['params', 'query', 'body']);
     const object = pick(req, Object.keys(validSchema));
     const { value, error } = Joi.compile(validSchema)
@@ -42,7 +42,7 @@ const pick = (object, keys) => {
 };
 
 // Common validation schemas
-export const schemas = {
+const schemas = {
     // Conversation schemas
     conversation: {
         params: {
@@ -55,6 +55,100 @@ export const schemas = {
         }
     },
 
+    // Conversation listing: status takes a comma-separated list
+    listConversations: {
+        query: {
+            status: Joi.string().pattern(/^(new|active|pending|closed|taken)(,(new|active|pending|closed|taken))*$/)
+                .messages({ 'string.pattern.base': 'status must be a comma-separated list of new, active, pending, closed, taken' }),
+            waId: Joi.string(),
+            userId: Joi.string(),
+            patientId: Joi.string(),
+            phoneNumberId: Joi.string(),
+            from: Joi.date().iso(),
+            to: Joi.date().iso(),
+            hasUnread: Joi.boolean(),
+            q: Joi.string().trim().max(200),
+            sort: Joi.string().valid('updated_at', 'created_at').default('created_at'),
+            order: Joi.string().valid('asc', 'desc').default('desc'),
+            limit: Joi.number().integer().min(1).max(100).default(20),
+            cursor: Joi.string()
+        }
+    },
+
+    // Contact profiles. Attributes are free-form; setting one to null removes it on update
+    contact: {
+        list: {
+            query: {
+                name: Joi.string().trim().max(255),
+                userId: Joi.string(),
+                patientId: Joi.string(),
+                limit: Joi.number().integer().min(1).max(100).default(20),
+                cursor: Joi.string()
+            }
+        },
+        create: {
+            body: {
+                waId: Joi.string().pattern(/^\d{6,20}$/).required(),
+                profileName: Joi.string().max(255),
+                locale: Joi.string().pattern(/^[a-z]{2,3}([_-][A-Za-z]{2,4})?$/).allow(null),
+                attributes: Joi.object(),
+                userId: Joi.string().max(64).allow(null),
+                patientId: Joi.string().max(64).allow(null)
+            }
+        },
+        update: {
+            body: Joi.object({
+                locale: Joi.string().pattern(/^[a-z]{2,3}([_-][A-Za-z]{2,4})?$/).allow(null),
+                attributes: Joi.object(),
+                userId: Joi.string().max(64).allow(null),
+                patientId: Joi.string().max(64).allow(null)
+            }).min(1)
+        }
+    },
+
+    // Consent changes and the audit export. A change without category applies to every category
+    consent: {
+        get: {
+            params: {
+                waId: Joi.string().pattern(/^\d{6,20}$/).required()
+            }
+        },
+        update: {
+            params: {
+                waId: Joi.string().pattern(/^\d{6,20}$/).required()
+            },
+            body: {
+                phoneNumberId: Joi.string().required(),
+                status: Joi.string().valid('opted_in', 'opted_out').required(),
+                category: Joi.string().valid('marketing', 'service'),
+                detail: Joi.string().max(255)
+            }
+        },
+        export: {
+            query: {
+                format: Joi.string().valid('csv', 'json').default('csv'),
+                waId: Joi.string(),
+                phoneNumberId: Joi.string(),
+                category: Joi.string().valid('marketing', 'service'),
+                from: Joi.date().iso(),
+                to: Joi.date().iso()
+            }
+        }
+    },
+
+    // Message listing of a conversation
+    listMessages: {
+        query: {
+            type: Joi.string(),
+            status: Joi.string(),
+            before: Joi.date().iso(),
+            after: Joi.date().iso(),
+            order: Joi.string().valid('asc', 'desc').default('asc'),
+            limit: Joi.number().integer().min(1).max(500).default(100),
+            cursor: Joi.string()
+        }
+    },
+
     // Message schemas
     message: {
         params: {
@@ -64,7 +158,7 @@ export const schemas = {
             messageId: Joi.string().required(),
             conversationId: Joi.string().uuid().required(),
             text: Joi.string().allow(''),
-            status: Joi.string().valid('pending', 'sent', 'delivered', 'read', 'failed')
+            status: Joi.string().valid('pending', 'queued', 'sending', 'sent', 'delivered', 'read', 'failed')
         }
     },
 
@@ -82,19 +176,141 @@ export const schemas = {
             body: {
                 to: Joi.string().required(),
                 mediaData: Joi.object({
-                    type: Joi.string().valid('image', 'document', 'audio', 'video').required(),
-                    url: Joi.string().uri().required(),
-                    caption: Joi.string().allow('')
+                    type: Joi.string().valid('image', 'document', 'audio', 'video', 'sticker').required(),
+                    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+                    caption: Joi.string().allow('').max(1024),
+                    filename: Joi.string().max(240)
                 }).required(),
                 conversationId: Joi.string().uuid().required(),
                 phoneNumberId: Joi.string().required()
             }
         },
+        // Multipart variant of sendMedia, the file itself is checked by the WhatsApp service
+        uploadMedia: {
+            body: {
+                to: Joi.string().required(),
+                type: Joi.string().valid('image', 'document', 'audio', 'video', 'sticker').required(),
+                caption: Joi.string().allow('').max(1024),
+                filename: Joi.string().max(240),
+                conversationId: Joi.string().uuid().required(),
+                phoneNumberId: Joi.string().required()
+            }
+        },
         markAsRead: {
             body: {
                 messageId: Joi.string().required(),
                 phoneNumberId: Joi.string().required()
             }
+        },
+        // Interactive messages, with the length and count limits enforced by WhatsApp
+        sendButtons: {
+            body: {
+                to: Joi.string().required(),
+                conversationId: Joi.string().uuid().required(),
+                phoneNumberId: Joi.string().required(),
+                header: Joi.string().max(60),
+                body: Joi.string().max(1024).required(),
+                footer: Joi.string().max(60),
+                buttons: Joi.array().items(Joi.object({
+                    id: Joi.string().max(256).required(),
+                    title: Joi.string().max(20).required()
+                })).min(1).max(3).unique('id').unique('title').required()
+            }
+        },
+        sendList: {
+            body: {
+                to: Joi.string().required(),
+                conversationId: Joi.string().uuid().required(),
+                phoneNumberId: Joi.string().required(),
+                header: Joi.string().max(60),
+                body: Joi.string().max(4096).required(),
+                footer: Joi.string().max(60),
+                buttonText: Joi.string().max(20).required(),
+                sections: Joi.array().items(Joi.object({
+                    title: Joi.string().max(24),
+                    rows: Joi.array().items(Joi.object({
+                        id: Joi.string().max(200).required(),
+                        title: Joi.string().max(24).required(),
+                        description: Joi.string().max(72)
+                    })).min(1).max(10).required()
+                })).min(1).max(10).required()
+                    // A list holds at most 10 rows in total, with unique IDs, and section
+                    // titles are required as soon as there is more than one section
+                    .custom((sections, helpers) => {
+                        const ids = sections.flatMap(section => section.rows.map(row => row.id));
+                        if (ids.length > 10) {
+                            return helpers.message('sections must contain at most 10 rows in total');
+                        }
+                        if (new Set(ids).size !== ids.length) {
+                            return helpers.message('row ids must be unique across sections');
+                        }
+                        if (sections.length > 1 && sections.some(section => !section.title)) {
+                            return helpers.message('every section needs a title when there is more than one');
+                        }
+                        return sections;
+                    })
+            }
+        },
+        sendCtaUrl: {
+            body: {
+                to: Joi.string().required(),
+                conversationId: Joi.string().uuid().required(),
+                phoneNumberId: Joi.string().required(),
+                header: Joi.string().max(60),
+                body: Joi.string().max(1024).required(),
+                footer: Joi.string().max(60),
+                displayText: Joi.string().max(20).required(),
+                url: Joi.string().uri({ scheme: ['http', 'https'] }).required()
+            }
+        },
+        sendTemplate: {
+            body: {
+                to: Joi.string().required(),
+                conversationId: Joi.string().uuid().required(),
+                phoneNumberId: Joi.string().required(),
+                name: Joi.string().required(),
+                language: Joi.string().required(),
+                // Checked against the registered template by the template service
+                parameters: Joi.object({
+                    header: Joi.alternatives().try(
+                        Joi.array().items(Joi.string()),
+                        Joi.object({
+                            link: Joi.string().required(),
+                            filename: Joi.string()
+                        })
+                    ),
+                    body: Joi.array().items(Joi.string()),
+                    buttons: Joi.array().items(Joi.string().allow(null))
+                }).default({})
+            }
+        },
+        template: {
+            body: {
+                name: Joi.string().pattern(/^[a-z0-9_]+$/).max(512).required(),
+                language: Joi.string().required(),
+                category: Joi.string().valid('marketing', 'utility', 'authentication').required(),
+                header: Joi.object({
+                    format: Joi.string().valid('text', 'image', 'video', 'document').required(),
+                    text: Joi.string().max(60).when('format', {
+                        is: 'text',
+                        then: Joi.required(),
+                        otherwise: Joi.forbidden()
+                    })
+                }),
+                body: Joi.object({
+                    text: Joi.string().max(1024).required()
+                }).required(),
+                footer: Joi.string().max(60),
+                buttons: Joi.array().items(Joi.object({
+                    type: Joi.string().valid('quick_reply', 'url', 'copy_code', 'phone_number').required(),
+                    text: Joi.string().max(25).required(),
+                    url: Joi.string().when('type', {
+                        is: 'url',
+                        then: Joi.required(),
+                        otherwise: Joi.forbidden()
+                    })
+                })).max(10)
+            }
         }
     },
 
@@ -125,3 +341,8 @@ export const schemas = {
         }
     }
 };
+
+module.exports = {
+    validate,
+    schemas
+};
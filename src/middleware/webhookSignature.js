@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const whatsappConfig = require('../config/whatsapp.js');
+const { QuarantinedWebhook } = require('../models/index.js');
+const { ApiError } = require('../utils/errors.js');
+const logger = require('../utils/logger.js');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Keep the raw request body so the webhook signature can be computed over the exact bytes Meta sent.
+ * Meant to be used as the `verify` option of express.json()
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - Raw request body
+ */
+const captureRawBody = (req, res, buf) => {
+    if (buf && buf.length) {
+        req.rawBody = buf;
+    }
+};
+
+/**
+ * Check a X-Hub-Signature-256 header against every active app secret
+ * @param {string} signature - Header value ("sha256=<hex digest>")
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Array<string>} secrets - Active app secrets
+ * @returns {boolean} True if any secret produces the same digest
+ */
+const isValidSignature = (signature, rawBody, secrets) => {
+    if (!signature || !rawBody || !signature.startsWith(SIGNATURE_PREFIX)) {
+        return false;
+    }
+
+    const received = Buffer.from(signature.slice(SIGNATURE_PREFIX.length), 'hex');
+
+    return secrets.some((secret) => {
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+};
+
+/**
+ * Middleware to verify that webhook POSTs were signed by Meta with one of our app secrets.
+ * Unsigned or wrongly signed requests are rejected, or stored for review when quarantine mode is on
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyWebhookSignature = async (req, res, next) => {
+    const secrets = whatsappConfig.appSecrets;
+
+    if (secrets.length === 0) {
+        logger.error('Webhook rejected: WHATSAPP_APP_SECRETS is not configured');
+        return next(new ApiError(500, 'Webhook signature verification is not configured'));
+    }
+
+    const signature = req.get('x-hub-signature-256');
+    if (isValidSignature(signature, req.rawBody, secrets)) {
+        return next();
+    }
+
+    const reason = signature ? 'invalid_signature' : 'missing_signature';
+    logger.warn(`Webhook signature verification failed (${reason}) from IP: ${req.ip}`);
+
+    if (whatsappConfig.signatureFailureMode !== 'quarantine') {
+        return next(new ApiError(401, 'Invalid webhook signature'));
+    }
+
+    try {
+        const quarantined = await new QuarantinedWebhook({
+            reason,
+            signature: signature || null,
+            headers: {
+                'content-type': req.get('content-type') || null,
+                'user-agent': req.get('user-agent') || null
+            },
+            raw_body: req.rawBody ? req.rawBody.toString('utf8') : null,
+            remote_ip: req.ip
+        }).create();
+
+        logger.warn(`Webhook payload quarantined with ID: ${quarantined.id}`);
+
+        // Acknowledge without processing so the payload never reaches the database tables
+        return res.status(200).json({ success: true });
+    } catch (error) {
+        return next(error);
+    }
+};
+
+module.exports = {
+    captureRawBody,
+    isValidSignature,
+    verifyWebhookSignature
+};
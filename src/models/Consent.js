@@ -0,0 +1,139 @@
+const { v4: uuidv4 } = require('uuid');
+const { getConnection } = require('../config/database.js');
+
+/**
+ * One change of the consent of a WhatsApp user to receive a category of messages from a
+ * business number. Consents are an append-only log: the latest entry is the current state
+ */
+class Consent {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.wa_id = data.wa_id;
+        this.business_phone_number_id = data.business_phone_number_id;
+        this.category = data.category;
+        this.status = data.status;
+        this.source = data.source;
+        this.detail = data.detail || null;
+        this.message_id = data.message_id || null;
+        this.created_at = data.created_at || new Date();
+    }
+
+    /**
+     * Append the consent change to the log
+     * @returns {Promise<Consent>} The created consent
+     */
+    async create() {
+        const connection = await getConnection();
+        try {
+            await connection.execute(
+                `INSERT INTO consents
+        (id, wa_id, business_phone_number_id, category, status, source, detail, message_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    this.id,
+                    this.wa_id,
+                    this.business_phone_number_id,
+                    this.category,
+                    this.status,
+                    this.source,
+                    this.detail,
+                    this.message_id,
+                    this.created_at
+                ]
+            );
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to create consent: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find the current consent of a user for a business number and category
+     * @param {string} waId - WhatsApp ID of the user
+     * @param {string} phoneNumberId - Business phone number ID
+     * @param {string} category - marketing or service
+     * @returns {Promise<Consent|null>} The latest consent or null if none was recorded
+     */
+    static async findLatest(waId, phoneNumberId, category) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute(
+                `SELECT * FROM consents
+        WHERE wa_id = ? AND business_phone_number_id = ? AND category = ?
+        ORDER BY created_at DESC, id DESC LIMIT 1`,
+                [waId, phoneNumberId, category]
+            );
+            if (rows.length === 0) return null;
+
+            return new Consent(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to find consent: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find the consent changes made by an inbound message
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Array<Consent>>} Consents recorded for the message
+     */
+    static async findByMessageId(messageId) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute('SELECT * FROM consents WHERE message_id = ?', [messageId]);
+            return rows.map(row => new Consent(row));
+        } catch (error) {
+            throw new Error(`Failed to find consents: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * List consent changes in the order they were recorded
+     * @param {Object} filters - Any of wa_id, business_phone_number_id, category, from and to (Date)
+     * @param {Object} page - { limit, after } where after is the last consent of the previous page or null
+     * @returns {Promise<Array<Consent>>} Consents, oldest first
+     */
+    static async list(filters = {}, page = {}) {
+        const connection = await getConnection();
+        try {
+            const { limit = 1000, after = null } = page;
+            let query = 'SELECT * FROM consents WHERE 1 = 1';
+            const params = [];
+
+            ['wa_id', 'business_phone_number_id', 'category'].forEach((field) => {
+                if (filters[field]) {
+                    query += ` AND ${field} = ?`;
+                    params.push(filters[field]);
+                }
+            });
+            if (filters.from) {
+                query += ' AND created_at >= ?';
+                params.push(filters.from);
+            }
+            if (filters.to) {
+                query += ' AND created_at < ?';
+                params.push(filters.to);
+            }
+
+            if (after) {
+                query += ' AND (created_at > ? OR (created_at = ? AND id > ?))';
+                params.push(after.created_at, after.created_at, after.id);
+            }
+
+            query += ' ORDER BY created_at ASC, id ASC LIMIT ?';
+            const [rows] = await connection.query(query, [...params, limit]);
+            return rows.map(row => new Consent(row));
+        } catch (error) {
+            throw new Error(`Failed to list consents: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = Consent;
@@ -0,0 +1,238 @@
+const { v4: uuidv4 } = require('uuid');
+const { getConnection } = require('../config/database.js');
+const { encodeCursor } = require('../utils/cursor.js');
+
+/**
+ * A WhatsApp user, with the profile WhatsApp reports and what we know about them
+ */
+class Contact {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.wa_id = data.wa_id;
+        this.profile_name = data.profile_name || null;
+        this.profile_name_history = data.profile_name_history || [];
+        this.locale = data.locale || null;
+        this.attributes = data.attributes || {};
+        this.user_id = data.user_id || null;
+        this.patient_id = data.patient_id || null;
+        this.first_seen_at = data.first_seen_at || null;
+        this.last_seen_at = data.last_seen_at || null;
+        this.created_at = data.created_at || new Date();
+        this.updated_at = data.updated_at || new Date();
+    }
+
+    /**
+     * Build a Contact from a database row, parsing its JSON fields
+     * @param {Object} row - Row from the contacts table
+     * @returns {Contact} The contact
+     */
+    static fromRow(row) {
+        return new Contact({
+            ...row,
+            profile_name_history: row.profile_name_history ? JSON.parse(row.profile_name_history) : [],
+            attributes: row.attributes ? JSON.parse(row.attributes) : {}
+        });
+    }
+
+    /**
+     * Create the contact
+     * @returns {Promise<Contact>} The created contact
+     */
+    async create() {
+        const connection = await getConnection();
+        try {
+            await connection.execute(
+                `INSERT INTO contacts
+        (id, wa_id, profile_name, profile_name_history, locale, attributes, user_id, patient_id,
+        first_seen_at, last_seen_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    this.id,
+                    this.wa_id,
+                    this.profile_name,
+                    JSON.stringify(this.profile_name_history),
+                    this.locale,
+                    JSON.stringify(this.attributes),
+                    this.user_id,
+                    this.patient_id,
+                    this.first_seen_at,
+                    this.last_seen_at,
+                    this.created_at,
+                    this.updated_at
+                ]
+            );
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to create contact: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Record an inbound message of a WhatsApp user, creating the contact the first time.
+     * A profile name different from the current one is appended to the history, unless the
+     * message is older than the last one seen (a retried or out-of-order webhook)
+     * @param {string} waId - WhatsApp ID of the user
+     * @param {string|null} profileName - Profile name sent with the message
+     * @param {Date} seenAt - When the message was sent
+     * @returns {Promise<Contact>} The updated contact
+     */
+    static async recordSeen(waId, profileName, seenAt) {
+        const connection = await getConnection();
+        try {
+            const now = new Date();
+            const entry = profileName ? { name: profileName, seen_at: seenAt.toISOString() } : null;
+
+            // Assignments run left to right: the history must be updated before profile_name changes,
+            // and both compare with last_seen_at before it moves forward
+            await connection.execute(
+                `INSERT INTO contacts
+        (id, wa_id, profile_name, profile_name_history, attributes, first_seen_at, last_seen_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, '{}', ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+        profile_name_history = IF(VALUES(profile_name) IS NOT NULL AND NOT (profile_name <=> VALUES(profile_name))
+            AND (last_seen_at IS NULL OR VALUES(last_seen_at) >= last_seen_at),
+            JSON_ARRAY_APPEND(COALESCE(profile_name_history, JSON_ARRAY()), '$', CAST(? AS JSON)),
+            profile_name_history),
+        profile_name = IF(last_seen_at IS NULL OR VALUES(last_seen_at) >= last_seen_at,
+            COALESCE(VALUES(profile_name), profile_name),
+            profile_name),
+        first_seen_at = LEAST(COALESCE(first_seen_at, VALUES(first_seen_at)), VALUES(first_seen_at)),
+        last_seen_at = GREATEST(COALESCE(last_seen_at, VALUES(last_seen_at)), VALUES(last_seen_at)),
+        updated_at = VALUES(updated_at)`,
+                [
+                    uuidv4(),
+                    waId,
+                    profileName || null,
+                    JSON.stringify(entry ? [entry] : []),
+                    seenAt,
+                    seenAt,
+                    now,
+                    now,
+                    JSON.stringify(entry)
+                ]
+            );
+
+            const [rows] = await connection.execute('SELECT * FROM contacts WHERE wa_id = ?', [waId]);
+            return Contact.fromRow(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to record contact: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find a contact by WhatsApp ID
+     * @param {string} waId - The WhatsApp ID
+     * @returns {Promise<Contact|null>} The found contact or null
+     */
+    static async findByWaId(waId) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute('SELECT * FROM contacts WHERE wa_id = ?', [waId]);
+            if (rows.length === 0) return null;
+
+            return Contact.fromRow(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to find contact: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * List contacts page by page, newest first. Sorted by creation, which unlike updated_at
+     * doesn't change while a client pages through
+     * @param {Object} filters - Any of name (part of the profile name), user_id and patient_id
+     * @param {Object} page - { limit, after } where after is a decoded cursor ({ value, id }) or null
+     * @returns {Promise<Object>} { contacts, nextCursor }
+     */
+    static async list(filters = {}, page = {}) {
+        const connection = await getConnection();
+        try {
+            const { limit = 20, after = null } = page;
+            let query = 'SELECT * FROM contacts WHERE 1 = 1';
+            const params = [];
+
+            if (filters.name) {
+                query += ' AND profile_name LIKE ?';
+                params.push(`%${filters.name.replace(/[\\%_]/g, '\\$&')}%`);
+            }
+            ['user_id', 'patient_id'].forEach((field) => {
+                if (filters[field]) {
+                    query += ` AND ${field} = ?`;
+                    params.push(filters[field]);
+                }
+            });
+
+            if (after) {
+                query += ' AND (created_at < ? OR (created_at = ? AND id < ?))';
+                params.push(new Date(after.value), new Date(after.value), after.id);
+            }
+
+            // One extra row tells whether there is a next page
+            query += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+            const [rows] = await connection.query(query, [...params, limit + 1]);
+
+            const contacts = rows.slice(0, limit).map(row => Contact.fromRow(row));
+            return {
+                contacts,
+                nextCursor: rows.length > limit ? encodeCursor(contacts[limit - 1], 'created_at', 'desc', filters) : null
+            };
+        } catch (error) {
+            throw new Error(`Failed to list contacts: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Update the fields we manage of the contact
+     * @param {Object} changes - Any of locale, attributes, user_id and patient_id
+     * @returns {Promise<Contact>} The updated contact
+     */
+    async update(changes) {
+        const connection = await getConnection();
+        try {
+            const fields = ['locale', 'attributes', 'user_id', 'patient_id'].filter(field => changes[field] !== undefined);
+            fields.forEach((field) => {
+                this[field] = changes[field];
+            });
+            this.updated_at = new Date();
+
+            await connection.execute(
+                `UPDATE contacts SET ${[...fields.map(field => `${field} = ?`), 'updated_at = ?'].join(', ')} WHERE id = ?`,
+                [
+                    ...fields.map(field => (field === 'attributes' ? JSON.stringify(this.attributes) : this[field])),
+                    this.updated_at,
+                    this.id
+                ]
+            );
+
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to update contact: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Delete the contact
+     * @returns {Promise<void>}
+     */
+    async delete() {
+        const connection = await getConnection();
+        try {
+            await connection.execute('DELETE FROM contacts WHERE id = ?', [this.id]);
+        } catch (error) {
+            throw new Error(`Failed to delete contact: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = Contact;
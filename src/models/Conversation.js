@@ -1,6 +1,12 @@
 const { v4: uuidv4 } = require('uuid');
 const { getConnection } = require('../config/database.js');
 const Message = require('./Message.js');
+const { InvalidTransitionError } = require('../utils/errors.js');
+const { encodeCursor } = require('../utils/cursor.js');
+
+// Inbound messages (the only ones keeping their webhook payload) not marked as read yet
+const UNREAD_MESSAGES = `FROM messages m WHERE m.conversation_id = c.id
+        AND m.whatsapp_webhook_data IS NOT NULL AND m.status <> 'read'`;
 
 class Conversation {
     constructor(data = {}) {
@@ -10,6 +16,7 @@ class Conversation {
         this.patient_id = data.patient_id || null;
         this.type = data.type || 'user_initiated';
         this.status = data.status || 'new';
+        this.status_history = data.status_history || [];
         this.config = data.config || {};
         this.created_at = data.created_at || new Date();
         this.updated_at = data.updated_at || new Date();
@@ -24,8 +31,8 @@ class Conversation {
         try {
             const [result] = await connection.execute(
                 `INSERT INTO conversations
-        (id, wa_id, user_id, patient_id, type, status, created_at, updated_at, config)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        (id, wa_id, user_id, patient_id, type, status, status_history, created_at, updated_at, config)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     this.id,
                     this.wa_id,
@@ -33,6 +40,7 @@ class Conversation {
                     this.patient_id,
                     this.type,
                     this.status,
+                    JSON.stringify(this.status_history),
                     this.created_at,
                     this.updated_at,
                     JSON.stringify(this.config)
@@ -60,11 +68,7 @@ class Conversation {
             );
             if (rows.length === 0) return null;
 
-            const conversation = rows[0];
-            // Parse JSON config
-            conversation.config = conversation.config ? JSON.parse(conversation.config) : {};
-
-            return new Conversation(conversation);
+            return Conversation.fromRow(rows[0]);
         } catch (error) {
             throw new Error(`Failed to find conversation: ${error.message}`);
         } finally {
@@ -86,11 +90,7 @@ class Conversation {
             );
             if (rows.length === 0) return null;
 
-            const conversation = rows[0];
-            // Parse JSON config
-            conversation.config = conversation.config ? JSON.parse(conversation.config) : {};
-
-            return new Conversation(conversation);
+            return Conversation.fromRow(rows[0]);
         } catch (error) {
             throw new Error(`Failed to find conversation by wa_id: ${error.message}`);
         } finally {
@@ -99,29 +99,226 @@ class Conversation {
     }
 
     /**
-     * Update conversation status
+     * Find the open (not closed) conversation of a WhatsApp user
+     * @param {string} waId - The WhatsApp ID
+     * @returns {Promise<Conversation|null>} The newest open conversation or null
+     */
+    static async findOpenByWaId(waId) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute(
+                `SELECT * FROM conversations WHERE wa_id = ? AND status <> 'closed'
+        ORDER BY created_at DESC LIMIT 1`,
+                [waId]
+            );
+            if (rows.length === 0) return null;
+
+            return Conversation.fromRow(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to find open conversation by wa_id: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * List conversations page by page, ordered by a date column then by ID. updated_at
+     * changes with every message, so pages sorted by it can repeat or skip conversations
+     * @param {Object} filters - Any of statuses, wa_id, user_id, patient_id, business_phone_number_id
+     * (any message sent from or to it), created_from, created_to, has_unread and query (full-text
+     * search over message text)
+     * @param {Object} page - { sort: created_at or updated_at, order: asc or desc, limit, after }
+     * where after is a decoded cursor ({ value, id }) or null for the first page
+     * @returns {Promise<Object>} { conversations, nextCursor }, each conversation with its unread_count
+     */
+    static async search(filters = {}, page = {}) {
+        const connection = await getConnection();
+        try {
+            const { sort = 'created_at', order = 'desc', limit = 20, after = null } = page;
+            if (!Conversation.SORTS.includes(sort)) {
+                throw new Error(`cannot sort by ${sort}`);
+            }
+
+            const conditions = [];
+            const params = [];
+
+            if (filters.statuses && filters.statuses.length > 0) {
+                conditions.push('c.status IN (?)');
+                params.push(filters.statuses);
+            }
+            ['wa_id', 'user_id', 'patient_id'].forEach((field) => {
+                if (filters[field]) {
+                    conditions.push(`c.${field} = ?`);
+                    params.push(filters[field]);
+                }
+            });
+            if (filters.business_phone_number_id) {
+                conditions.push('EXISTS (SELECT 1 FROM messages m WHERE m.conversation_id = c.id AND m.business_phone_number_id = ?)');
+                params.push(filters.business_phone_number_id);
+            }
+            if (filters.created_from) {
+                conditions.push('c.created_at >= ?');
+                params.push(filters.created_from);
+            }
+            if (filters.created_to) {
+                conditions.push('c.created_at < ?');
+                params.push(filters.created_to);
+            }
+            if (filters.has_unread !== undefined && filters.has_unread !== null) {
+                conditions.push(`${filters.has_unread ? '' : 'NOT '}EXISTS (SELECT 1 ${UNREAD_MESSAGES})`);
+            }
+            if (filters.query) {
+                // Uses the FULLTEXT index on messages.text
+                conditions.push(`EXISTS (SELECT 1 FROM messages m WHERE m.conversation_id = c.id
+        AND MATCH(m.text) AGAINST (? IN NATURAL LANGUAGE MODE))`);
+                params.push(filters.query);
+            }
+
+            const direction = order === 'asc' ? 'ASC' : 'DESC';
+            if (after) {
+                const comparison = order === 'asc' ? '>' : '<';
+                conditions.push(`(c.${sort} ${comparison} ? OR (c.${sort} = ? AND c.id ${comparison} ?))`);
+                params.push(new Date(after.value), new Date(after.value), after.id);
+            }
+
+            // One extra row tells whether there is a next page
+            const [rows] = await connection.query(
+                `SELECT c.*, (SELECT COUNT(*) ${UNREAD_MESSAGES}) AS unread_count
+        FROM conversations c
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY c.${sort} ${direction}, c.id ${direction}
+        LIMIT ?`,
+                [...params, limit + 1]
+            );
+
+            const conversations = rows.slice(0, limit).map((row) => {
+                const conversation = Conversation.fromRow(row);
+                conversation.unread_count = Number(row.unread_count);
+                return conversation;
+            });
+
+            return {
+                conversations,
+                nextCursor: rows.length > limit ? encodeCursor(conversations[limit - 1], sort, order, filters) : null
+            };
+        } catch (error) {
+            throw new Error(`Failed to search conversations: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find conversations without any change or message since a date
+     * @param {Array<string>} statuses - Statuses to look in
+     * @param {Date} before - Last activity must be older than this
+     * @param {number} limit - Maximum number of conversations
+     * @returns {Promise<Array>} Array of Conversation objects, least recently updated first
+     */
+    static async findInactive(statuses, before, limit = 100) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.query(
+                `SELECT c.* FROM conversations c
+        WHERE c.status IN (?) AND c.updated_at < ?
+        AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.conversation_id = c.id AND m.created_at >= ?)
+        ORDER BY c.updated_at ASC LIMIT ?`,
+                [statuses, before, before, limit]
+            );
+
+            return rows.map(row => Conversation.fromRow(row));
+        } catch (error) {
+            throw new Error(`Failed to find inactive conversations: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Check whether the lifecycle allows a status change
+     * @param {string} from - Current status
+     * @param {string} to - New status
+     * @returns {boolean} True if the transition is allowed
+     */
+    static canTransition(from, to) {
+        return (Conversation.TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Move the conversation to another status, recording the transition in status_history.
+     * Moving to the current status does nothing
      * @param {string} status - The new status
+     * @param {string} reason - Why the status changes
      * @returns {Promise<Conversation>} The updated conversation
+     * @throws {InvalidTransitionError} If the lifecycle does not allow the change, or the
+     * status was changed meanwhile by someone else
      */
-    async updateStatus(status) {
+    async transition(status, reason = null) {
+        if (status === this.status) {
+            return this;
+        }
+        if (!Conversation.canTransition(this.status, status)) {
+            throw new InvalidTransitionError(this.status, status);
+        }
+
         const connection = await getConnection();
         try {
-            this.status = status;
-            this.updated_at = new Date();
+            const entry = {
+                from: this.status,
+                to: status,
+                reason,
+                at: new Date().toISOString()
+            };
+            const updatedAt = new Date();
 
-            await connection.execute(
-                'UPDATE conversations SET status = ?, updated_at = ? WHERE id = ?',
-                [this.status, this.updated_at, this.id]
+            // Only applies if nobody changed the status since this object was loaded
+            const [result] = await connection.execute(
+                `UPDATE conversations SET
+        status = ?,
+        status_history = JSON_ARRAY_APPEND(COALESCE(status_history, JSON_ARRAY()), '$', CAST(? AS JSON)),
+        updated_at = ?
+        WHERE id = ? AND status = ?`,
+                [status, JSON.stringify(entry), updatedAt, this.id, this.status]
             );
 
+            if (result.affectedRows === 0) {
+                const [rows] = await connection.execute('SELECT status FROM conversations WHERE id = ?', [this.id]);
+                const current = rows.length > 0 ? rows[0].status : null;
+                // A concurrent change to the same status is as good as ours
+                if (current !== status) {
+                    throw new InvalidTransitionError(
+                        this.status,
+                        status,
+                        `Conversation ${this.id} went from ${this.status} to ${current} meanwhile`
+                    );
+                }
+                this.status = status;
+                return this;
+            }
+
+            this.status = status;
+            this.status_history = [...this.status_history, entry];
+            this.updated_at = updatedAt;
+
             return this;
         } catch (error) {
+            if (error instanceof InvalidTransitionError) throw error;
             throw new Error(`Failed to update conversation status: ${error.message}`);
         } finally {
             connection.release();
         }
     }
 
+    /**
+     * Update conversation status, following the lifecycle
+     * @param {string} status - The new status
+     * @param {string} reason - Why the status changes
+     * @returns {Promise<Conversation>} The updated conversation
+     */
+    async updateStatus(status, reason = null) {
+        return this.transition(status, reason);
+    }
+
     /**
      * Update conversation config
      * @param {Object} configData - The config data to update
@@ -147,6 +344,28 @@ class Conversation {
         }
     }
 
+    /**
+     * Link the open conversations of a WhatsApp user to our own user and patient
+     * @param {string} waId - The WhatsApp ID
+     * @param {Object} links - { user_id, patient_id }
+     * @returns {Promise<number>} Number of conversations updated
+     */
+    static async linkOpenByWaId(waId, links) {
+        const connection = await getConnection();
+        try {
+            const [result] = await connection.execute(
+                `UPDATE conversations SET user_id = ?, patient_id = ?, updated_at = ?
+        WHERE wa_id = ? AND status <> 'closed'`,
+                [links.user_id || null, links.patient_id || null, new Date(), waId]
+            );
+            return result.affectedRows;
+        } catch (error) {
+            throw new Error(`Failed to link conversations: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
     /**
      * Get all messages for this conversation
      * @returns {Promise<Array>} Array of Message objects
@@ -154,6 +373,32 @@ class Conversation {
     async getMessages() {
         return Message.findByConversationId(this.id);
     }
+
+    /**
+     * Build a conversation from a database row
+     * @param {Object} row - Row of the conversations table
+     * @returns {Conversation} The conversation
+     */
+    static fromRow(row) {
+        return new Conversation({
+            ...row,
+            config: row.config ? JSON.parse(row.config) : {},
+            status_history: row.status_history ? JSON.parse(row.status_history) : []
+        });
+    }
 }
 
+// Status changes the lifecycle allows. A closed conversation stays closed: the next inbound
+// message of its user starts a new conversation
+Conversation.TRANSITIONS = {
+    new: ['active', 'pending', 'taken', 'closed'],
+    active: ['pending', 'taken', 'closed'],
+    pending: ['active', 'taken', 'closed'],
+    taken: ['active', 'closed'],
+    closed: []
+};
+
+// Columns conversation listings can be sorted by
+Conversation.SORTS = ['updated_at', 'created_at'];
+
 module.exports = Conversation;
@@ -0,0 +1,86 @@
+const { getConnection } = require('../config/database.js');
+
+/**
+ * Database-backed mutual exclusion per conversation, so only one assistant run
+ * is active on a conversation across every Node process
+ */
+class ConversationLock {
+    /**
+     * Try to take the lock of a conversation. An expired lock is taken over
+     * @param {string} conversationId - The conversation ID
+     * @param {string} owner - Unique token identifying the holder
+     * @param {number} ttl - Lock lifetime in milliseconds
+     * @returns {Promise<boolean>} True if the lock is now held by owner
+     */
+    static async acquire(conversationId, owner, ttl) {
+        const connection = await getConnection();
+        try {
+            const now = new Date();
+
+            // Assignments run left to right, so expires_at must be the last one to change
+            await connection.execute(
+                `INSERT INTO conversation_locks (conversation_id, owner, expires_at, created_at)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+        owner = IF(expires_at <= ?, VALUES(owner), owner),
+        created_at = IF(expires_at <= ?, VALUES(created_at), created_at),
+        expires_at = IF(expires_at <= ?, VALUES(expires_at), expires_at)`,
+                [conversationId, owner, new Date(now.getTime() + ttl), now, now, now, now]
+            );
+
+            const [rows] = await connection.execute(
+                'SELECT owner FROM conversation_locks WHERE conversation_id = ?',
+                [conversationId]
+            );
+            return rows.length > 0 && rows[0].owner === owner;
+        } catch (error) {
+            throw new Error(`Failed to acquire conversation lock: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Extend a lock that is still held by owner
+     * @param {string} conversationId - The conversation ID
+     * @param {string} owner - Token of the holder
+     * @param {number} ttl - New lifetime in milliseconds, from now
+     * @returns {Promise<boolean>} True if the lock was extended
+     */
+    static async refresh(conversationId, owner, ttl) {
+        const connection = await getConnection();
+        try {
+            const [result] = await connection.execute(
+                'UPDATE conversation_locks SET expires_at = ? WHERE conversation_id = ? AND owner = ?',
+                [new Date(Date.now() + ttl), conversationId, owner]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw new Error(`Failed to refresh conversation lock: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Release a lock held by owner
+     * @param {string} conversationId - The conversation ID
+     * @param {string} owner - Token of the holder
+     * @returns {Promise<void>}
+     */
+    static async release(conversationId, owner) {
+        const connection = await getConnection();
+        try {
+            await connection.execute(
+                'DELETE FROM conversation_locks WHERE conversation_id = ? AND owner = ?',
+                [conversationId, owner]
+            );
+        } catch (error) {
+            throw new Error(`Failed to release conversation lock: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = ConversationLock;
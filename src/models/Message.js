@@ -1,12 +1,14 @@
 const { v4: uuidv4 } = require('uuid');
 const { getConnection } = require('../config/database.js');
+const { DuplicateMessageError } = require('../utils/errors.js');
+const { encodeCursor } = require('../utils/cursor.js');
 
 class Message {
     constructor(data = {}) {
         this.id = data.id || uuidv4();
         this.conversation_id = data.conversation_id;
         this.type = data.type || 'text';
-        this.wa_id = data.wa_id || '';
+        this.wa_id = data.wa_id || null;
         this.timestamp = data.timestamp || new Date().toISOString();
         this.replying_to_mesage_id = data.replying_to_mesage_id || null;
         this.business_phone_number_id = data.business_phone_number_id || null;
@@ -16,14 +18,38 @@ class Message {
         this.location = data.location || null;
         this.contact = data.contact || null;
         this.emoji = data.emoji || null;
+        this.payload = data.payload || null;
         this.status = data.status || 'pending';
+        this.status_history = data.status_history || [];
+        this.job_id = data.job_id || null;
+        this.error = data.error || null;
+        this.openai_file_id = data.openai_file_id || null;
         this.created_at = data.created_at || new Date();
         this.updated_at = data.updated_at || new Date();
     }
 
+    /**
+     * Build a Message from a database row, parsing its JSON fields
+     * @param {Object} row - Row from the messages table
+     * @returns {Message} The message
+     */
+    static fromRow(row) {
+        const message = { ...row };
+        message.whatsapp_webhook_data = message.whatsapp_webhook_data ? JSON.parse(message.whatsapp_webhook_data) : null;
+        message.media = message.media ? JSON.parse(message.media) : null;
+        message.location = message.location ? JSON.parse(message.location) : null;
+        message.contact = message.contact ? JSON.parse(message.contact) : null;
+        message.emoji = message.emoji ? JSON.parse(message.emoji) : null;
+        message.payload = message.payload ? JSON.parse(message.payload) : null;
+        message.status_history = message.status_history ? JSON.parse(message.status_history) : [];
+
+        return new Message(message);
+    }
+
     /**
      * Create a new message
      * @returns {Promise<Message>} The created message
+     * @throws {DuplicateMessageError} If a message with the same wa_id already exists
      */
     async create() {
         const connection = await getConnection();
@@ -32,8 +58,8 @@ class Message {
                 `INSERT INTO messages
         (id, conversation_id, type, wa_id, timestamp, replying_to_mesage_id,
         business_phone_number_id, whatsapp_webhook_data, text, media, location,
-        contact, emoji, status, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        contact, emoji, payload, status, status_history, job_id, error, openai_file_id, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     this.id,
                     this.conversation_id,
@@ -48,13 +74,22 @@ class Message {
                     this.location ? JSON.stringify(this.location) : null,
                     this.contact ? JSON.stringify(this.contact) : null,
                     this.emoji ? JSON.stringify(this.emoji) : null,
+                    this.payload ? JSON.stringify(this.payload) : null,
                     this.status,
+                    JSON.stringify(this.status_history),
+                    this.job_id,
+                    this.error,
+                    this.openai_file_id,
                     this.created_at,
                     this.updated_at
                 ]
             );
             return this;
         } catch (error) {
+            // wa_id is unique, so a redelivered or concurrently delivered message can't be stored twice
+            if (error.code === 'ER_DUP_ENTRY' && this.wa_id) {
+                throw new DuplicateMessageError(this.wa_id);
+            }
             throw new Error(`Failed to create message: ${error.message}`);
         } finally {
             connection.release();
@@ -75,18 +110,31 @@ class Message {
             );
             if (rows.length === 0) return null;
 
-            const message = rows[0];
+            return Message.fromRow(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to find message: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
 
-            // Parse JSON fields
-            message.whatsapp_webhook_data = message.whatsapp_webhook_data ? JSON.parse(message.whatsapp_webhook_data) : null;
-            message.media = message.media ? JSON.parse(message.media) : null;
-            message.location = message.location ? JSON.parse(message.location) : null;
-            message.contact = message.contact ? JSON.parse(message.contact) : null;
-            message.emoji = message.emoji ? JSON.parse(message.emoji) : null;
+    /**
+     * Find a message by its WhatsApp message ID (wamid)
+     * @param {string} waId - The WhatsApp message ID
+     * @returns {Promise<Message|null>} The found message or null
+     */
+    static async findByWaId(waId) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute(
+                'SELECT * FROM messages WHERE wa_id = ? ORDER BY created_at ASC LIMIT 1',
+                [waId]
+            );
+            if (rows.length === 0) return null;
 
-            return new Message(message);
+            return Message.fromRow(rows[0]);
         } catch (error) {
-            throw new Error(`Failed to find message: ${error.message}`);
+            throw new Error(`Failed to find message by wa_id: ${error.message}`);
         } finally {
             connection.release();
         }
@@ -119,16 +167,7 @@ class Message {
 
             const [rows] = await connection.execute(query, params);
 
-            // Parse JSON fields for each message
-            return rows.map(message => {
-                message.whatsapp_webhook_data = message.whatsapp_webhook_data ? JSON.parse(message.whatsapp_webhook_data) : null;
-                message.media = message.media ? JSON.parse(message.media) : null;
-                message.location = message.location ? JSON.parse(message.location) : null;
-                message.contact = message.contact ? JSON.parse(message.contact) : null;
-                message.emoji = message.emoji ? JSON.parse(message.emoji) : null;
-
-                return new Message(message);
-            });
+            return rows.map(row => Message.fromRow(row));
         } catch (error) {
             throw new Error(`Failed to find messages by conversation: ${error.message}`);
         } finally {
@@ -136,6 +175,192 @@ class Message {
         }
     }
 
+    /**
+     * List the messages of a conversation page by page, ordered by creation then by ID
+     * @param {string} conversationId - The conversation ID
+     * @param {Object} filters - Any of type, status, before and after (creation dates, exclusive)
+     * @param {Object} page - { order: asc or desc, limit, after } where after is a decoded
+     * cursor ({ value, id }) or null for the first page
+     * @returns {Promise<Object>} { messages, nextCursor }
+     */
+    static async findPage(conversationId, filters = {}, page = {}) {
+        const connection = await getConnection();
+        try {
+            const { order = 'asc', limit = 100, after = null } = page;
+            let query = 'SELECT * FROM messages WHERE conversation_id = ?';
+            const params = [conversationId];
+
+            if (filters.type) {
+                query += ' AND type = ?';
+                params.push(filters.type);
+            }
+            if (filters.status) {
+                query += ' AND status = ?';
+                params.push(filters.status);
+            }
+            if (filters.before) {
+                query += ' AND created_at < ?';
+                params.push(filters.before);
+            }
+            if (filters.after) {
+                query += ' AND created_at > ?';
+                params.push(filters.after);
+            }
+
+            const direction = order === 'desc' ? 'DESC' : 'ASC';
+            if (after) {
+                const comparison = order === 'desc' ? '<' : '>';
+                query += ` AND (created_at ${comparison} ? OR (created_at = ? AND id ${comparison} ?))`;
+                params.push(new Date(after.value), new Date(after.value), after.id);
+            }
+
+            // One extra row tells whether there is a next page
+            query += ` ORDER BY created_at ${direction}, id ${direction} LIMIT ?`;
+            const [rows] = await connection.query(query, [...params, limit + 1]);
+
+            const messages = rows.slice(0, limit).map(row => Message.fromRow(row));
+            return {
+                messages,
+                nextCursor: rows.length > limit
+                    ? encodeCursor(messages[limit - 1], 'created_at', order, { conversation_id: conversationId, ...filters })
+                    : null
+            };
+        } catch (error) {
+            throw new Error(`Failed to find message page: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find the latest messages of a conversation
+     * @param {string} conversationId - The conversation ID
+     * @param {Object} options - limit, and query to only return messages whose text contains it
+     * @returns {Promise<Array>} Array of Message objects, oldest first
+     */
+    static async findRecent(conversationId, options = {}) {
+        const connection = await getConnection();
+        try {
+            let query = 'SELECT * FROM messages WHERE conversation_id = ?';
+            const params = [conversationId];
+
+            if (options.query) {
+                query += ' AND text LIKE ?';
+                params.push(`%${options.query.replace(/[\\%_]/g, '\\$&')}%`);
+            }
+
+            query += ` ORDER BY created_at DESC LIMIT ${parseInt(options.limit || 20, 10)}`;
+
+            const [rows] = await connection.execute(query, params);
+
+            return rows.reverse().map(row => Message.fromRow(row));
+        } catch (error) {
+            throw new Error(`Failed to find recent messages: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find the most recent message received from the user in a conversation
+     * @param {string} conversationId - The conversation ID
+     * @returns {Promise<Message|null>} The last inbound message or null
+     */
+    static async findLastInbound(conversationId) {
+        const connection = await getConnection();
+        try {
+            // Only inbound messages keep the webhook payload they arrived in
+            const [rows] = await connection.execute(
+                `SELECT * FROM messages
+        WHERE conversation_id = ? AND whatsapp_webhook_data IS NOT NULL
+        ORDER BY timestamp DESC LIMIT 1`,
+                [conversationId]
+            );
+            if (rows.length === 0) return null;
+
+            return Message.fromRow(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to find last inbound message: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find outbound messages whose delivery failed
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.business_phone_number_id] - Only messages sent from this phone number
+     * @param {number} [limit] - Maximum number of messages
+     * @returns {Promise<Array<Message>>} Failed messages, most recent first
+     */
+    static async findFailedOutbound(filters = {}, limit = 50) {
+        const connection = await getConnection();
+        try {
+            let query = "SELECT * FROM messages WHERE status = 'failed' AND job_id IS NOT NULL";
+            const params = [];
+
+            if (filters.business_phone_number_id) {
+                query += ' AND business_phone_number_id = ?';
+                params.push(filters.business_phone_number_id);
+            }
+
+            // LIMIT can't be a prepared statement placeholder with execute()
+            query += ` ORDER BY updated_at DESC LIMIT ${parseInt(limit, 10)}`;
+
+            const [rows] = await connection.execute(query, params);
+            return rows.map(row => Message.fromRow(row));
+        } catch (error) {
+            throw new Error(`Failed to find failed outbound messages: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Update the delivery fields of an outbound message
+     * @param {string} id - The message ID
+     * @param {Object} changes - Any of status, wa_id, job_id and error
+     * @returns {Promise<Message|null>} The updated message or null if it does not exist
+     */
+    static async updateDelivery(id, changes) {
+        const connection = await getConnection();
+        try {
+            const fields = ['status', 'wa_id', 'job_id', 'error'].filter(field => changes[field] !== undefined);
+            const assignments = fields.map(field => `${field} = ?`);
+
+            await connection.execute(
+                `UPDATE messages SET ${[...assignments, 'updated_at = ?'].join(', ')} WHERE id = ?`,
+                [...fields.map(field => changes[field]), new Date(), id]
+            );
+        } catch (error) {
+            throw new Error(`Failed to update message delivery: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+
+        return Message.findById(id);
+    }
+
+    /**
+     * Remember the OpenAI file uploaded for the message's media
+     * @param {string} id - The message ID
+     * @param {string} fileId - OpenAI file ID
+     * @returns {Promise<void>}
+     */
+    static async setOpenAIFile(id, fileId) {
+        const connection = await getConnection();
+        try {
+            await connection.execute(
+                'UPDATE messages SET openai_file_id = ?, updated_at = ? WHERE id = ?',
+                [fileId, new Date(), id]
+            );
+        } catch (error) {
+            throw new Error(`Failed to update message OpenAI file: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
     /**
      * Update message status
      * @param {string} status - The new status
@@ -160,6 +385,62 @@ class Message {
         }
     }
 
+    /**
+     * Record a delivery status reported by WhatsApp. The event is appended to status_history
+     * unless an entry with the same status and timestamp is already there (webhook retries),
+     * but the current status only moves forward (sent -> delivered -> read), since callbacks
+     * can arrive out of order; 'failed' always wins and is never overwritten.
+     * @param {Object} event - Status event
+     * @param {string} event.status - sent, delivered, read or failed
+     * @param {string} event.timestamp - ISO timestamp reported by WhatsApp
+     * @param {Array} event.errors - Optional errors reported with a failed status
+     * @returns {Promise<Message>} The updated message
+     */
+    async recordStatusEvent(event) {
+        const connection = await getConnection();
+        try {
+            const entry = {
+                status: event.status,
+                timestamp: event.timestamp,
+                errors: event.errors || null,
+                recorded_at: new Date().toISOString()
+            };
+            this.updated_at = new Date();
+
+            await connection.execute(
+                `UPDATE messages SET
+        status = IF(? = 'failed' OR (status <> 'failed' AND FIELD(status, 'sent', 'delivered', 'read') < FIELD(?, 'sent', 'delivered', 'read')), ?, status),
+        status_history = IF(JSON_CONTAINS(COALESCE(status_history, JSON_ARRAY()), JSON_OBJECT('status', ?, 'timestamp', ?)),
+            status_history,
+            JSON_ARRAY_APPEND(COALESCE(status_history, JSON_ARRAY()), '$', CAST(? AS JSON))),
+        updated_at = ?
+        WHERE id = ?`,
+                [
+                    entry.status, entry.status, entry.status,
+                    entry.status, entry.timestamp, JSON.stringify(entry),
+                    this.updated_at, this.id
+                ]
+            );
+
+            if (entry.status === 'failed' || (this.status !== 'failed' &&
+                Message.STATUS_ORDER.indexOf(this.status) < Message.STATUS_ORDER.indexOf(entry.status))) {
+                this.status = entry.status;
+            }
+            const recorded = this.status_history.some(
+                (previous) => previous.status === entry.status && previous.timestamp === entry.timestamp
+            );
+            if (!recorded) {
+                this.status_history = [...this.status_history, entry];
+            }
+
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to record message status event: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
     /**
      * Create a text message
      * @param {Object} data - Message data
@@ -194,13 +475,18 @@ class Message {
      * @returns {Promise<Message>} The created message
      */
     static async createBotMessage(data) {
+        // Bot messages are stored before they are sent and wait in the outbound queue
         const message = new Message({
             ...data,
             type: 'bot_answer',
-            status: 'sent'
+            status: 'queued'
         });
         return message.create();
     }
 }
 
+// Progression of outbound delivery statuses, used to ignore out-of-order callbacks.
+// 'queued' and 'sending' come before all of them and are only set by the outbound queue
+Message.STATUS_ORDER = ['sent', 'delivered', 'read'];
+
 module.exports = Message;
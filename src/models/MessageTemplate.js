@@ -0,0 +1,143 @@
+const { v4: uuidv4 } = require('uuid');
+const { getConnection } = require('../config/database.js');
+
+class MessageTemplate {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.name = data.name;
+        this.language = data.language;
+        this.category = data.category;
+        this.header = data.header || null;
+        this.body = data.body;
+        this.footer = data.footer || null;
+        this.buttons = data.buttons || [];
+        this.created_at = data.created_at || new Date();
+        this.updated_at = data.updated_at || new Date();
+    }
+
+    /**
+     * Build a MessageTemplate from a database row, parsing its JSON fields
+     * @param {Object} row - Row from the message_templates table
+     * @returns {MessageTemplate} The template
+     */
+    static fromRow(row) {
+        const template = { ...row };
+        template.header = template.header ? JSON.parse(template.header) : null;
+        template.body = template.body ? JSON.parse(template.body) : null;
+        template.buttons = template.buttons ? JSON.parse(template.buttons) : [];
+
+        return new MessageTemplate(template);
+    }
+
+    /**
+     * Create the template, or replace the definition registered under the same name and language
+     * @returns {Promise<MessageTemplate>} The saved template
+     */
+    async save() {
+        const connection = await getConnection();
+        try {
+            this.updated_at = new Date();
+
+            await connection.execute(
+                `INSERT INTO message_templates
+        (id, name, language, category, header, body, footer, buttons, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+        category = VALUES(category), header = VALUES(header), body = VALUES(body),
+        footer = VALUES(footer), buttons = VALUES(buttons), updated_at = VALUES(updated_at)`,
+                [
+                    this.id,
+                    this.name,
+                    this.language,
+                    this.category,
+                    this.header ? JSON.stringify(this.header) : null,
+                    JSON.stringify(this.body),
+                    this.footer,
+                    JSON.stringify(this.buttons),
+                    this.created_at,
+                    this.updated_at
+                ]
+            );
+
+            return await MessageTemplate.findByNameAndLanguage(this.name, this.language);
+        } catch (error) {
+            throw new Error(`Failed to save message template: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find a template by name and language
+     * @param {string} name - Template name
+     * @param {string} language - Language code (e.g. es, en_US)
+     * @returns {Promise<MessageTemplate|null>} The found template or null
+     */
+    static async findByNameAndLanguage(name, language) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute(
+                'SELECT * FROM message_templates WHERE name = ? AND language = ?',
+                [name, language]
+            );
+            if (rows.length === 0) return null;
+
+            return MessageTemplate.fromRow(rows[0]);
+        } catch (error) {
+            throw new Error(`Failed to find message template: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * List registered templates
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.category] - Only templates of this category
+     * @returns {Promise<Array<MessageTemplate>>} Templates ordered by name and language
+     */
+    static async findAll(filters = {}) {
+        const connection = await getConnection();
+        try {
+            let query = 'SELECT * FROM message_templates';
+            const params = [];
+
+            if (filters.category) {
+                query += ' WHERE category = ?';
+                params.push(filters.category);
+            }
+
+            query += ' ORDER BY name, language';
+
+            const [rows] = await connection.execute(query, params);
+            return rows.map((row) => MessageTemplate.fromRow(row));
+        } catch (error) {
+            throw new Error(`Failed to list message templates: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Remove a template from the registry
+     * @param {string} name - Template name
+     * @param {string} language - Language code
+     * @returns {Promise<boolean>} True if a template was removed
+     */
+    static async remove(name, language) {
+        const connection = await getConnection();
+        try {
+            const [result] = await connection.execute(
+                'DELETE FROM message_templates WHERE name = ? AND language = ?',
+                [name, language]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw new Error(`Failed to remove message template: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = MessageTemplate;
@@ -0,0 +1,87 @@
+const { v4: uuidv4 } = require('uuid');
+const { getConnection } = require('../config/database.js');
+
+/**
+ * User input that arrived while an assistant run was active on the conversation,
+ * waiting to be added to the thread by the process holding the run lock
+ */
+class PendingRunInput {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.conversation_id = data.conversation_id;
+        this.content = data.content || '';
+        this.parts = data.parts || [];
+        this.attachments = data.attachments || [];
+        this.created_at = data.created_at || new Date();
+    }
+
+    /**
+     * Build a PendingRunInput from a database row, parsing its JSON fields
+     * @param {Object} row - Row from the conversation_pending_inputs table
+     * @returns {PendingRunInput} The input
+     */
+    static fromRow(row) {
+        return new PendingRunInput({
+            ...row,
+            parts: row.parts ? JSON.parse(row.parts) : [],
+            attachments: row.attachments ? JSON.parse(row.attachments) : []
+        });
+    }
+
+    /**
+     * Queue the input
+     * @returns {Promise<PendingRunInput>} The queued input
+     */
+    async create() {
+        const connection = await getConnection();
+        try {
+            await connection.execute(
+                `INSERT INTO conversation_pending_inputs (id, conversation_id, content, parts, attachments, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    this.id,
+                    this.conversation_id,
+                    this.content,
+                    this.parts.length > 0 ? JSON.stringify(this.parts) : null,
+                    this.attachments.length > 0 ? JSON.stringify(this.attachments) : null,
+                    this.created_at
+                ]
+            );
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to queue run input: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Remove and return every queued input of a conversation, oldest first
+     * @param {string} conversationId - The conversation ID
+     * @returns {Promise<Array>} Array of PendingRunInput objects
+     */
+    static async takeAll(conversationId) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute(
+                'SELECT * FROM conversation_pending_inputs WHERE conversation_id = ? ORDER BY created_at ASC',
+                [conversationId]
+            );
+            if (rows.length === 0) return [];
+
+            // Only delete the rows we read, inputs queued meanwhile stay for the next check
+            await connection.query(
+                'DELETE FROM conversation_pending_inputs WHERE id IN (?)',
+                [rows.map(row => row.id)]
+            );
+
+            return rows.map(row => PendingRunInput.fromRow(row));
+        } catch (error) {
+            throw new Error(`Failed to take queued run inputs: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = PendingRunInput;
@@ -0,0 +1,45 @@
+const { v4: uuidv4 } = require('uuid');
+const { getConnection } = require('../config/database.js');
+
+class QuarantinedWebhook {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.reason = data.reason;
+        this.signature = data.signature || null;
+        this.headers = data.headers || null;
+        this.raw_body = data.raw_body || null;
+        this.remote_ip = data.remote_ip || null;
+        this.created_at = data.created_at || new Date();
+    }
+
+    /**
+     * Store a quarantined webhook payload
+     * @returns {Promise<QuarantinedWebhook>} The stored payload
+     */
+    async create() {
+        const connection = await getConnection();
+        try {
+            await connection.execute(
+                `INSERT INTO quarantined_webhooks
+        (id, reason, signature, headers, raw_body, remote_ip, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    this.id,
+                    this.reason,
+                    this.signature,
+                    this.headers ? JSON.stringify(this.headers) : null,
+                    this.raw_body,
+                    this.remote_ip,
+                    this.created_at
+                ]
+            );
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to quarantine webhook: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = QuarantinedWebhook;
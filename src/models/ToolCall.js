@@ -0,0 +1,82 @@
+const { v4: uuidv4 } = require('uuid');
+const { getConnection } = require('../config/database.js');
+
+/**
+ * A function tool executed for an assistant run
+ */
+class ToolCall {
+    constructor(data = {}) {
+        this.id = data.id || uuidv4();
+        this.conversation_id = data.conversation_id;
+        this.provider = data.provider || 'assistants';
+        this.thread_id = data.thread_id || null;
+        this.run_id = data.run_id;
+        this.tool_call_id = data.tool_call_id;
+        this.name = data.name;
+        this.arguments = data.arguments || null;
+        this.output = data.output || null;
+        this.status = data.status;
+        this.error = data.error || null;
+        this.duration_ms = data.duration_ms || 0;
+        this.created_at = data.created_at || new Date();
+    }
+
+    /**
+     * Store the tool call
+     * @returns {Promise<ToolCall>} The stored tool call
+     */
+    async create() {
+        const connection = await getConnection();
+        try {
+            await connection.execute(
+                `INSERT INTO tool_calls
+        (id, conversation_id, provider, thread_id, run_id, tool_call_id, name, arguments, output, status, error, duration_ms, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    this.id,
+                    this.conversation_id,
+                    this.provider,
+                    this.thread_id,
+                    this.run_id,
+                    this.tool_call_id,
+                    this.name,
+                    this.arguments,
+                    this.output,
+                    this.status,
+                    this.error,
+                    this.duration_ms,
+                    this.created_at
+                ]
+            );
+            return this;
+        } catch (error) {
+            throw new Error(`Failed to create tool call: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Find the tool calls of a conversation, newest first
+     * @param {string} conversationId - The conversation ID
+     * @param {number} limit - Maximum number of tool calls
+     * @returns {Promise<Array>} Array of ToolCall objects
+     */
+    static async findByConversationId(conversationId, limit = 50) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute(
+                `SELECT * FROM tool_calls WHERE conversation_id = ? ORDER BY created_at DESC LIMIT ${parseInt(limit, 10)}`,
+                [conversationId]
+            );
+
+            return rows.map(row => new ToolCall(row));
+        } catch (error) {
+            throw new Error(`Failed to find tool calls: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = ToolCall;
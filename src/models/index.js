@@ -1,7 +1,21 @@
 const Conversation = require('./Conversation.js');
 const Message = require('./Message.js');
+const QuarantinedWebhook = require('./QuarantinedWebhook.js');
+const ConversationLock = require('./ConversationLock.js');
+const PendingRunInput = require('./PendingRunInput.js');
+const MessageTemplate = require('./MessageTemplate.js');
+const ToolCall = require('./ToolCall.js');
+const Contact = require('./Contact.js');
+const Consent = require('./Consent.js');
 
 module.exports = {
     Conversation,
-    Message
+    Message,
+    QuarantinedWebhook,
+    ConversationLock,
+    PendingRunInput,
+    MessageTemplate,
+    ToolCall,
+    Contact,
+    Consent
 };
@@ -0,0 +1,245 @@
+const openaiConfig = require('../config/openai.js');
+const { executeToolCalls } = require('./tools.js');
+const { contactContext } = require('./history.js');
+const logger = require('../utils/logger.js');
+const { OpenAIError } = require('../utils/errors.js');
+
+/**
+ * Provider running the OpenAI Assistants API. The conversation lives in an OpenAI thread
+ * and the instructions and tools are configured on the assistant
+ */
+class AssistantsProvider {
+    /**
+     * @param {Object} service - OpenAI service, whose thread methods drive the runs
+     */
+    constructor(service) {
+        this.name = 'assistants';
+        this.acceptsFiles = true;
+        this.service = service;
+    }
+
+    /**
+     * Add the user input to the conversation's thread and run the assistant on it
+     * @param {Object} conversation - Conversation object with config
+     * @param {Object} input - User input: { content, parts, attachments }
+     * @param {Object} context - Run context (refreshLock)
+     * @returns {Promise<Object|null>} Reply, or null if the run was cancelled
+     */
+    async respond(conversation, input, context) {
+        const config = conversation.config || {};
+        let threadId = config.thread_id;
+
+        if (!threadId) {
+            const thread = await this.service.createThread();
+            threadId = thread.id;
+            await conversation.updateConfig({ thread_id: threadId });
+        }
+
+        // A run started outside this method (e.g. through the runs endpoint) may still be active
+        const activeRun = await this.service.getActiveRun(threadId);
+        if (activeRun) {
+            await this.completeRun(threadId, activeRun.id, conversation, context);
+        }
+
+        await this.service.createMessage(threadId, toMessageContent(input), input.attachments);
+
+        // The assistant keeps its own instructions, the contact is added for this run only
+        const stream = this.service.streamRun(threadId, {
+            assistantId: config.assistant_openai_id || this.service.assistantId,
+            model: config.model || undefined,
+            additionalInstructions: await contactContext(conversation)
+        });
+
+        const finishedRun = await this.followStream(threadId, stream, conversation, context);
+        if (finishedRun.status === 'cancelled') {
+            return null;
+        }
+        if (finishedRun.status !== 'completed') {
+            throw new OpenAIError(`Run ${finishedRun.id} ended with status ${finishedRun.status}`, finishedRun.last_error?.code || null);
+        }
+
+        const message = await this.service.getLastAssistantMessage(threadId);
+        return {
+            id: message ? message.id : finishedRun.id,
+            text: this.service.extractText(message),
+            provider: this.name,
+            model: finishedRun.model || null,
+            usage: finishedRun.usage || null
+        };
+    }
+
+    /**
+     * Cancel the run active on a conversation, so its lock holder starts over with the queued input
+     * @param {Object} conversation - Conversation object with config
+     * @returns {Promise<void>}
+     */
+    async cancel(conversation) {
+        const { thread_id: threadId, run_id: runId } = conversation.config || {};
+        if (!threadId || !runId) {
+            return;
+        }
+
+        try {
+            await this.service.cancelRun(threadId, runId);
+        } catch (error) {
+            // The run most likely finished in the meantime
+            logger.warn(`Could not cancel run ${runId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Follow a streamed run to its end, executing the function tools it requires along the way
+     * @param {string} threadId - Thread ID
+     * @param {Object} stream - Run event stream
+     * @param {Object} conversation - Conversation object
+     * @param {Object} context - Run context, whose lock is refreshed after each round of tools
+     * @returns {Promise<Object>} Run in a terminal status
+     */
+    async followStream(threadId, stream, conversation, context) {
+        let run = await this.readStream(stream, conversation, context);
+        let rounds = 0;
+
+        while (run.status === 'requires_action') {
+            const runId = run.id;
+            if (++rounds > openaiConfig.maxToolRounds) {
+                await this.service.cancelRun(threadId, runId);
+                throw new OpenAIError(`Run ${runId} requested more than ${openaiConfig.maxToolRounds} rounds of tool calls`);
+            }
+
+            const outputs = await executeToolCalls(toToolCalls(run), conversation, { provider: this.name, threadId, runId });
+            await context.refreshLock();
+
+            try {
+                run = await this.readStream(
+                    this.service.submitToolOutputsStream(
+                        threadId,
+                        runId,
+                        outputs.map(output => ({ tool_call_id: output.id, output: output.output }))
+                    ),
+                    conversation,
+                    context
+                );
+            } catch (error) {
+                // The run may have been cancelled or expired while the tools were running
+                const current = await this.service.getRunStatus(threadId, runId);
+                if (current.status === 'requires_action') {
+                    throw error;
+                }
+                run = await this.service.waitForRun(threadId, runId);
+            }
+        }
+
+        return run;
+    }
+
+    /**
+     * Read a run event stream until it stops, at the end of the run or when tool outputs are required.
+     * Text deltas and run status changes are reported to the run context as they arrive
+     * @param {Object} stream - Run event stream
+     * @param {Object} conversation - Conversation object
+     * @param {Object} context - Run context (onDelta, onEvent)
+     * @returns {Promise<Object>} The run as of its last event
+     */
+    async readStream(stream, conversation, context) {
+        let run = null;
+        const timer = setTimeout(() => stream.abort(), openaiConfig.runTimeoutMs);
+
+        try {
+            for await (const event of stream) {
+                if (event.event === 'thread.message.delta') {
+                    (event.data.delta.content || [])
+                        .filter(part => part.type === 'text' && part.text && part.text.value)
+                        .forEach(part => context.onDelta(part.text.value));
+                } else if (event.event.startsWith('thread.run.') && !event.event.startsWith('thread.run.step.')) {
+                    run = event.data;
+                    if (event.event === 'thread.run.created') {
+                        // Lets another process cancel the run when new input arrives (restart strategy)
+                        await conversation.updateConfig({ run_id: run.id });
+                    }
+                    context.onEvent('run', { run_id: run.id, status: run.status });
+                } else if (event.event === 'error') {
+                    throw new OpenAIError(event.data.message || 'Run stream failed', event.data.code || null);
+                }
+            }
+        } catch (error) {
+            if (stream.aborted) {
+                throw new OpenAIError(`Run ${run ? run.id : 'stream'} timed out after ${openaiConfig.runTimeoutMs}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!run) {
+            throw new OpenAIError('Run stream ended without run events');
+        }
+        return run;
+    }
+
+    /**
+     * Wait for a run started elsewhere, whose stream we can't follow, to finish,
+     * executing the function tools it requires along the way
+     * @param {string} threadId - Thread ID
+     * @param {string} runId - Run ID
+     * @param {Object} conversation - Conversation object
+     * @param {Object} context - Run context, whose lock is refreshed after each round of tools
+     * @returns {Promise<Object>} Run in a terminal status
+     */
+    async completeRun(threadId, runId, conversation, context) {
+        let run = await this.service.waitForRun(threadId, runId);
+        let rounds = 0;
+
+        while (run.status === 'requires_action') {
+            if (++rounds > openaiConfig.maxToolRounds) {
+                await this.service.cancelRun(threadId, runId);
+                throw new OpenAIError(`Run ${runId} requested more than ${openaiConfig.maxToolRounds} rounds of tool calls`);
+            }
+
+            const outputs = await executeToolCalls(toToolCalls(run), conversation, { provider: this.name, threadId, runId });
+            await context.refreshLock();
+
+            try {
+                await this.service.submitToolOutputs(
+                    threadId,
+                    runId,
+                    outputs.map(output => ({ tool_call_id: output.id, output: output.output }))
+                );
+            } catch (error) {
+                // The run may have been cancelled or expired while the tools were running
+                const current = await this.service.getRunStatus(threadId, runId);
+                if (current.status === 'requires_action') {
+                    throw error;
+                }
+            }
+
+            run = await this.service.waitForRun(threadId, runId);
+        }
+
+        return run;
+    }
+}
+
+/**
+ * Tool calls a run is waiting for
+ * @param {Object} run - Run in requires_action status
+ * @returns {Array} { id, name, arguments } entries
+ */
+const toToolCalls = (run) => run.required_action.submit_tool_outputs.tool_calls.map(toolCall => ({
+    id: toolCall.id,
+    name: toolCall.function.name,
+    arguments: toolCall.function.arguments
+}));
+
+/**
+ * Build the content of a thread message: plain text, or content parts when images are included
+ * @param {Object} input - User input
+ * @returns {string|Array} Message content
+ */
+const toMessageContent = (input) => {
+    if (input.parts.length === 0) {
+        return input.content;
+    }
+    return input.content ? [{ type: 'text', text: input.content }, ...input.parts] : input.parts;
+};
+
+module.exports = AssistantsProvider;
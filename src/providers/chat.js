@@ -0,0 +1,142 @@
+const { OpenAI } = require('openai');
+const openaiConfig = require('../config/openai.js');
+const toolRegistry = require('../tools/index.js');
+const { buildHistory, instructionsFor } = require('./history.js');
+const { executeToolCalls } = require('./tools.js');
+const { OpenAIError } = require('../utils/errors.js');
+
+/**
+ * Provider calling the Chat Completions API, on OpenAI or any server implementing it.
+ * The conversation is rebuilt from the messages table on every turn
+ */
+class ChatCompletionsProvider {
+    /**
+     * @param {string} name - Provider name
+     * @param {Object} options - Provider options (model, baseURL, apiKey, tools)
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.acceptsFiles = false;
+        this.model = options.model;
+        this.useTools = options.tools !== false;
+        this.client = new OpenAI({
+            apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+            baseURL: options.baseURL || undefined
+        });
+    }
+
+    /**
+     * Answer the conversation. The user input is already stored and reaches the model
+     * through the rebuilt history
+     * @param {Object} conversation - Conversation object with config
+     * @param {Object} input - User input (unused)
+     * @param {Object} context - Run context (refreshLock, onDelta)
+     * @returns {Promise<Object>} Reply
+     */
+    async respond(conversation, input, context) {
+        const history = await buildHistory(conversation);
+        const messages = [
+            { role: 'system', content: await instructionsFor(conversation) },
+            ...history.map(entry => ({ role: entry.role, content: entry.text }))
+        ];
+        const tools = this.useTools ? toolRegistry.definitions() : [];
+        const model = (conversation.config || {}).model || this.model;
+
+        for (let round = 0; ; round++) {
+            const completion = await readStream(await this.client.chat.completions.create({
+                model,
+                messages,
+                ...(tools.length > 0 && { tools }),
+                stream: true,
+                stream_options: { include_usage: true }
+            }), context);
+            const message = completion.message;
+
+            if (!message.tool_calls || message.tool_calls.length === 0) {
+                return {
+                    id: completion.id,
+                    text: message.content || '',
+                    provider: this.name,
+                    model: completion.model,
+                    usage: completion.usage || null
+                };
+            }
+
+            if (round >= openaiConfig.maxToolRounds) {
+                throw new OpenAIError(`${this.name} requested more than ${openaiConfig.maxToolRounds} rounds of tool calls`);
+            }
+
+            const toolCalls = message.tool_calls.map(toolCall => ({
+                id: toolCall.id,
+                name: toolCall.function.name,
+                arguments: toolCall.function.arguments
+            }));
+            const outputs = await executeToolCalls(toolCalls, conversation, { provider: this.name, runId: completion.id });
+
+            messages.push(message);
+            outputs.forEach(output => messages.push({ role: 'tool', tool_call_id: output.id, content: output.output }));
+            await context.refreshLock();
+        }
+    }
+}
+
+/**
+ * Read a streamed completion to its end, reporting text deltas to the run context as they
+ * arrive, and put the streamed message and tool calls back together
+ * @param {Object} stream - Completion chunk stream
+ * @param {Object} context - Run context (onDelta)
+ * @returns {Promise<Object>} { id, model, usage, message }
+ */
+const readStream = async (stream, context) => {
+    const completion = { id: null, model: null, usage: null };
+    const message = { role: 'assistant', content: '' };
+    const toolCalls = [];
+    const timer = setTimeout(() => stream.controller.abort(), openaiConfig.runTimeoutMs);
+
+    try {
+        for await (const chunk of stream) {
+            completion.id = completion.id || chunk.id;
+            completion.model = completion.model || chunk.model;
+            // With include_usage, the last chunk has the usage and no choices
+            if (chunk.usage) {
+                completion.usage = chunk.usage;
+            }
+
+            const delta = chunk.choices && chunk.choices[0] ? chunk.choices[0].delta : null;
+            if (!delta) continue;
+
+            if (delta.content) {
+                message.content += delta.content;
+                context.onDelta(delta.content);
+            }
+            (delta.tool_calls || []).forEach(part => {
+                const toolCall = toolCalls[part.index] || (toolCalls[part.index] = {
+                    id: null,
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                });
+                toolCall.id = part.id || toolCall.id;
+                if (part.function) {
+                    toolCall.function.name += part.function.name || '';
+                    toolCall.function.arguments += part.function.arguments || '';
+                }
+            });
+        }
+    } catch (error) {
+        if (stream.controller.signal.aborted) {
+            throw new OpenAIError(`Completion ${completion.id || 'stream'} timed out after ${openaiConfig.runTimeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (toolCalls.length > 0) {
+        // As the API returns it: no content next to the tool calls
+        message.content = message.content || null;
+        message.tool_calls = toolCalls.filter(Boolean);
+    }
+    return { ...completion, message };
+};
+
+module.exports = ChatCompletionsProvider;
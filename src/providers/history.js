@@ -0,0 +1,85 @@
+const databaseService = require('../services/database.js');
+const contactService = require('../services/contacts.js');
+const llmConfig = require('../config/llm.js');
+
+// How media without a caption or transcript shows up in the rebuilt history
+const MEDIA_LABELS = {
+    image: 'Image',
+    video: 'Video',
+    audio: 'Voice note',
+    sticker: 'Sticker'
+};
+
+/**
+ * Describe a stored message as plain text
+ * @param {Object} message - Stored message
+ * @returns {string|null} Text of the message, or null if it has nothing to show
+ */
+const describeMessage = (message) => {
+    const lines = [];
+
+    if (message.type === 'document' && message.media) {
+        lines.push(`[Document: ${message.media.filename || 'untitled'}]`);
+    } else if (MEDIA_LABELS[message.type] && !message.text) {
+        lines.push(`[${MEDIA_LABELS[message.type]}]`);
+    }
+    if (message.text) {
+        lines.push(message.text);
+    }
+
+    return lines.length > 0 ? lines.join('\n') : null;
+};
+
+/**
+ * Rebuild the conversation from the messages table, for providers that don't keep it themselves.
+ * Inbound messages are the user's turns, everything we sent (bot or agent) the assistant's
+ * @param {Object} conversation - Conversation object
+ * @returns {Promise<Array>} { role: 'user'|'assistant', text } entries, oldest first
+ */
+const buildHistory = async (conversation) => {
+    const messages = await databaseService.findRecentMessages(conversation.id, { limit: llmConfig.historyLimit });
+
+    return messages
+        .filter(message => message.whatsapp_webhook_data || message.status !== 'failed')
+        .map(message => ({
+            // Only inbound messages keep the webhook payload they arrived in
+            role: message.whatsapp_webhook_data ? 'user' : 'assistant',
+            text: describeMessage(message)
+        }))
+        .filter(entry => entry.text);
+};
+
+/**
+ * What the assistant is told about the user of a conversation, unless turned off
+ * with LLM_CONTACT_CONTEXT=false or config.contact_context: false
+ * @param {Object} conversation - Conversation object
+ * @returns {Promise<string|null>} Contact description, or null
+ */
+const contactContext = async (conversation) => {
+    const config = conversation.config || {};
+    const enabled = typeof config.contact_context === 'boolean' ? config.contact_context : llmConfig.contactContext;
+    if (!enabled) {
+        return null;
+    }
+
+    const contact = await databaseService.findContactByWaId(conversation.wa_id);
+    return contact ? contactService.describe(contact) : null;
+};
+
+/**
+ * System instructions of a conversation, followed by what we know about its user
+ * @param {Object} conversation - Conversation object
+ * @returns {Promise<string>} Instructions
+ */
+const instructionsFor = async (conversation) => {
+    const instructions = (conversation.config || {}).instructions || llmConfig.instructions;
+    const contact = await contactContext(conversation);
+    return contact ? `${instructions}\n\n${contact}` : instructions;
+};
+
+module.exports = {
+    describeMessage,
+    buildHistory,
+    contactContext,
+    instructionsFor
+};
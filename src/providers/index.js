@@ -0,0 +1,58 @@
+const llmConfig = require('../config/llm.js');
+const AssistantsProvider = require('./assistants.js');
+const ChatCompletionsProvider = require('./chat.js');
+const ResponsesProvider = require('./responses.js');
+
+/**
+ * LLM providers answering conversations. Every provider implements
+ * respond(conversation, input, context) -> { id, text, provider, model, usage } | null,
+ * may implement cancel(conversation), and tells with acceptsFiles whether
+ * images and documents are uploaded for it
+ */
+class ProviderRegistry {
+    /**
+     * @param {Object} assistantsService - OpenAI service driving the Assistants API threads
+     */
+    constructor(assistantsService) {
+        this.instances = new Map([['assistants', new AssistantsProvider(assistantsService)]]);
+    }
+
+    /**
+     * Get a provider by name, creating it on first use
+     * @param {string} name - Provider name
+     * @returns {Object} The provider
+     * @throws {Error} If the provider is unknown or not configured
+     */
+    get(name) {
+        if (!this.instances.has(name)) {
+            const options = llmConfig.providers[name];
+            if (!options) {
+                throw new Error(`Unknown LLM provider ${name}`);
+            }
+            if (name === 'compatible' && (!options.baseURL || !options.model)) {
+                throw new Error('LLM_COMPATIBLE_BASE_URL and LLM_COMPATIBLE_MODEL must be set to use the compatible provider');
+            }
+
+            this.instances.set(name, options.type === 'responses'
+                ? new ResponsesProvider(name, options)
+                : new ChatCompletionsProvider(name, options));
+        }
+        return this.instances.get(name);
+    }
+
+    /**
+     * Pick the provider of a conversation: its config.provider, then the provider of the
+     * business phone number, then LLM_PROVIDER
+     * @param {Object} conversation - Conversation object with config
+     * @param {string} [phoneNumberId] - Business phone number ID the conversation is on
+     * @returns {Object} The provider
+     */
+    resolve(conversation, phoneNumberId) {
+        const name = (conversation.config || {}).provider
+            || llmConfig.providerByPhoneNumber[phoneNumberId]
+            || llmConfig.defaultProvider;
+        return this.get(name);
+    }
+}
+
+module.exports = ProviderRegistry;
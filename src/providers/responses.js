@@ -0,0 +1,137 @@
+const { OpenAI } = require('openai');
+const openaiConfig = require('../config/openai.js');
+const toolRegistry = require('../tools/index.js');
+const { buildHistory, instructionsFor } = require('./history.js');
+const { executeToolCalls } = require('./tools.js');
+const { OpenAIError } = require('../utils/errors.js');
+
+/**
+ * Provider calling the OpenAI Responses API. Nothing is stored on OpenAI's side: the
+ * conversation is rebuilt from the messages table on every turn
+ */
+class ResponsesProvider {
+    /**
+     * @param {string} name - Provider name
+     * @param {Object} options - Provider options (model)
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.acceptsFiles = false;
+        this.model = options.model;
+        this.client = new OpenAI({
+            apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+            baseURL: options.baseURL || undefined
+        });
+    }
+
+    /**
+     * Answer the conversation. The user input is already stored and reaches the model
+     * through the rebuilt history
+     * @param {Object} conversation - Conversation object with config
+     * @param {Object} input - User input (unused)
+     * @param {Object} context - Run context (refreshLock, onDelta)
+     * @returns {Promise<Object>} Reply
+     */
+    async respond(conversation, input, context) {
+        const history = await buildHistory(conversation);
+        const items = history.map(entry => ({ role: entry.role, content: entry.text }));
+        // Responses takes function tools flat, without the { function } wrapper
+        const tools = toolRegistry.definitions().map(definition => ({ type: 'function', strict: false, ...definition.function }));
+        const model = (conversation.config || {}).model || this.model;
+        const instructions = await instructionsFor(conversation);
+
+        for (let round = 0; ; round++) {
+            const response = await readStream(await this.client.responses.create({
+                model,
+                instructions,
+                input: items,
+                ...(tools.length > 0 && { tools }),
+                store: false,
+                stream: true
+            }), context);
+            const functionCalls = response.output.filter(item => item.type === 'function_call');
+
+            if (functionCalls.length === 0) {
+                return {
+                    id: response.id,
+                    text: outputText(response),
+                    provider: this.name,
+                    model: response.model,
+                    usage: response.usage || null
+                };
+            }
+
+            if (round >= openaiConfig.maxToolRounds) {
+                throw new OpenAIError(`${this.name} requested more than ${openaiConfig.maxToolRounds} rounds of tool calls`);
+            }
+
+            const toolCalls = functionCalls.map(call => ({ id: call.call_id, name: call.name, arguments: call.arguments }));
+            const outputs = await executeToolCalls(toolCalls, conversation, { provider: this.name, runId: response.id });
+
+            // Unstored responses can't be referenced by item ID, so the calls are sent back in full
+            functionCalls.forEach(call => items.push({
+                type: 'function_call',
+                call_id: call.call_id,
+                name: call.name,
+                arguments: call.arguments
+            }));
+            outputs.forEach(output => items.push({ type: 'function_call_output', call_id: output.id, output: output.output }));
+            await context.refreshLock();
+        }
+    }
+}
+
+/**
+ * Read a streamed response to its end, reporting text deltas to the run context as they arrive
+ * @param {Object} stream - Response event stream
+ * @param {Object} context - Run context (onDelta)
+ * @returns {Promise<Object>} The completed response
+ */
+const readStream = async (stream, context) => {
+    let response = null;
+    const timer = setTimeout(() => stream.controller.abort(), openaiConfig.runTimeoutMs);
+
+    try {
+        for await (const event of stream) {
+            if (event.type === 'response.output_text.delta') {
+                context.onDelta(event.delta);
+            } else if (event.type === 'response.completed') {
+                response = event.response;
+            } else if (event.type === 'response.failed' || event.type === 'response.incomplete') {
+                const { error, incomplete_details: details } = event.response;
+                throw new OpenAIError(
+                    `Response ${event.response.id} ended with status ${event.response.status}`,
+                    (error && error.code) || (details && details.reason) || null
+                );
+            } else if (event.type === 'error') {
+                throw new OpenAIError(event.message || 'Response stream failed', event.code || null);
+            }
+        }
+    } catch (error) {
+        if (stream.controller.signal.aborted) {
+            throw new OpenAIError(`Response ${response ? response.id : 'stream'} timed out after ${openaiConfig.runTimeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (!response) {
+        throw new OpenAIError('Response stream ended without a completed response');
+    }
+    return response;
+};
+
+/**
+ * Concatenate the text parts of a response's output messages
+ * @param {Object} response - Responses API response
+ * @returns {string} Output text
+ */
+const outputText = (response) => response.output
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content)
+    .filter(part => part.type === 'output_text')
+    .map(part => part.text)
+    .join('');
+
+module.exports = ResponsesProvider;
@@ -0,0 +1,54 @@
+const databaseService = require('../services/database.js');
+const toolRegistry = require('../tools/index.js');
+const logger = require('../utils/logger.js');
+const runEvents = require('../utils/runEvents.js');
+
+/**
+ * Execute the function tools a model asked for. Every call is recorded against the conversation
+ * @param {Array} toolCalls - { id, name, arguments } entries, arguments being the JSON the model sent
+ * @param {Object} conversation - Conversation object
+ * @param {Object} source - Where the calls come from: { provider, threadId, runId }
+ * @returns {Promise<Array>} { id, output } for each call, in the same order
+ */
+const executeToolCalls = (toolCalls, conversation, source) => Promise.all(toolCalls.map(async (toolCall) => {
+    const result = await toolRegistry.execute(toolCall.name, toolCall.arguments, {
+        conversation,
+        threadId: source.threadId || null,
+        runId: source.runId
+    });
+
+    if (result.status === 'success') {
+        logger.info(`Tool ${toolCall.name} ran for conversation ${conversation.id} in ${result.durationMs}ms`);
+    } else {
+        logger.warn(`Tool ${toolCall.name} failed for conversation ${conversation.id} (${result.status}): ${result.error}`);
+    }
+    runEvents.publish(conversation.id, 'tool_call', {
+        provider: source.provider,
+        name: toolCall.name,
+        status: result.status,
+        duration_ms: result.durationMs
+    });
+
+    try {
+        await databaseService.createToolCall({
+            conversation_id: conversation.id,
+            provider: source.provider,
+            thread_id: source.threadId || null,
+            run_id: source.runId,
+            tool_call_id: toolCall.id,
+            name: toolCall.name,
+            arguments: toolCall.arguments,
+            output: result.output,
+            status: result.status,
+            error: result.error,
+            duration_ms: result.durationMs
+        });
+    } catch (error) {
+        // The model must get its outputs even if the log can't be written
+        logger.error(`Could not record tool call ${toolCall.id}:`, error);
+    }
+
+    return { id: toolCall.id, output: result.output };
+}));
+
+module.exports = { executeToolCalls };
@@ -0,0 +1,169 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * In-process queue adapter. Jobs live in memory, so they are lost on restart and are only
+ * visible to the current Node process. Meant for development and single-instance setups
+ */
+class MemoryQueueAdapter {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    /**
+     * Add a job to a queue
+     * @param {string} queue - Queue name
+     * @param {Object} payload - Job payload
+     * @param {Object} options - Job options (maxAttempts, availableAt)
+     * @returns {Promise<Object>} Created job
+     */
+    async enqueue(queue, payload, options = {}) {
+        const now = new Date();
+        const job = {
+            id: uuidv4(),
+            queue,
+            payload,
+            status: 'pending',
+            attempts: 0,
+            max_attempts: options.maxAttempts,
+            available_at: options.availableAt || now,
+            last_error: null,
+            locked_at: null,
+            created_at: now,
+            updated_at: now
+        };
+        this.jobs.set(job.id, job);
+        return { ...job };
+    }
+
+    /**
+     * Claim the next available job of a queue
+     * @param {string} queue - Queue name
+     * @param {number} lockTimeout - Milliseconds after which a job left in processing is claimable again
+     * @returns {Promise<Object|null>} Claimed job, with the claim_token that proves the lock, or null if none is available
+     */
+    async claim(queue, lockTimeout) {
+        const now = Date.now();
+        const candidates = [...this.jobs.values()]
+            .filter(job => job.queue === queue && (
+                (job.status === 'pending' && job.available_at.getTime() <= now) ||
+                (job.status === 'processing' && job.locked_at.getTime() + lockTimeout <= now)
+            ))
+            .sort((a, b) => a.available_at - b.available_at);
+
+        if (candidates.length === 0) return null;
+
+        const job = candidates[0];
+        job.status = 'processing';
+        job.attempts += 1;
+        job.locked_at = new Date();
+        job.locked_by = uuidv4();
+        job.updated_at = new Date();
+
+        const { locked_by: claimToken, ...claimed } = job;
+        return { ...claimed, claim_token: claimToken };
+    }
+
+    /**
+     * Mark a job as completed. Completed jobs are dropped to keep memory bounded
+     * @param {string} id - Job ID
+     * @param {string} claimToken - Claim token of the worker that ran the job
+     * @returns {Promise<boolean>} False if the lock expired and another worker reclaimed the job
+     */
+    async complete(id, claimToken) {
+        if (!this.holdsLock(id, claimToken)) return false;
+
+        this.jobs.delete(id);
+        return true;
+    }
+
+    /**
+     * Put a failed job back in the queue to be retried later
+     * @param {string} id - Job ID
+     * @param {string} claimToken - Claim token of the worker that ran the job
+     * @param {string} error - Error message
+     * @param {Date} availableAt - When the job may be retried
+     * @returns {Promise<boolean>} False if the lock expired and another worker reclaimed the job
+     */
+    async retry(id, claimToken, error, availableAt) {
+        if (!this.holdsLock(id, claimToken)) return false;
+
+        this.update(id, { status: 'pending', last_error: error, available_at: availableAt, locked_at: null, locked_by: null });
+        return true;
+    }
+
+    /**
+     * Move a job to the dead-letter store
+     * @param {string} id - Job ID
+     * @param {string} claimToken - Claim token of the worker that ran the job
+     * @param {string} error - Error message
+     * @returns {Promise<boolean>} False if the lock expired and another worker reclaimed the job
+     */
+    async bury(id, claimToken, error) {
+        if (!this.holdsLock(id, claimToken)) return false;
+
+        this.update(id, { status: 'dead', last_error: error, locked_at: null, locked_by: null });
+        return true;
+    }
+
+    /**
+     * Check that a job is still locked by a claim
+     * @param {string} id - Job ID
+     * @param {string} claimToken - Claim token
+     * @returns {boolean} True if the claim still holds the job
+     */
+    holdsLock(id, claimToken) {
+        const job = this.jobs.get(id);
+        return Boolean(job) && job.locked_by === claimToken;
+    }
+
+    /**
+     * Find a job by its ID
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} The job or null
+     */
+    async findById(id) {
+        const job = this.jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * List jobs of a queue by status, newest first
+     * @param {Object} filters - Filters (queue, status)
+     * @param {number} limit - Maximum number of jobs
+     * @returns {Promise<Array>} Jobs
+     */
+    async list({ queue = null, status = null } = {}, limit = 50) {
+        return [...this.jobs.values()]
+            .filter(job => (!queue || job.queue === queue) && (!status || job.status === status))
+            .sort((a, b) => b.updated_at - a.updated_at)
+            .slice(0, limit)
+            .map(job => ({ ...job }));
+    }
+
+    /**
+     * Move a dead job back to pending with a fresh attempt counter
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} The replayed job, or null if it is not dead
+     */
+    async replay(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.status !== 'dead') return null;
+
+        this.update(id, { status: 'pending', attempts: 0, available_at: new Date() });
+        return { ...job };
+    }
+
+    /**
+     * Apply changes to a stored job
+     * @param {string} id - Job ID
+     * @param {Object} changes - Fields to change
+     */
+    update(id, changes) {
+        const job = this.jobs.get(id);
+        if (job) {
+            Object.assign(job, changes, { updated_at: new Date() });
+        }
+    }
+}
+
+module.exports = MemoryQueueAdapter;
@@ -0,0 +1,240 @@
+const { v4: uuidv4 } = require('uuid');
+const { getConnection } = require('../../config/database.js');
+
+/**
+ * MySQL queue adapter. Jobs are stored in the `jobs` table and claimed with an atomic
+ * UPDATE, so several Node processes can share a queue without an external broker
+ */
+class MysqlQueueAdapter {
+    /**
+     * Add a job to a queue
+     * @param {string} queue - Queue name
+     * @param {Object} payload - Job payload
+     * @param {Object} options - Job options (maxAttempts, availableAt)
+     * @returns {Promise<Object>} Created job
+     */
+    async enqueue(queue, payload, options = {}) {
+        const connection = await getConnection();
+        try {
+            const now = new Date();
+            const job = {
+                id: uuidv4(),
+                queue,
+                payload,
+                status: 'pending',
+                attempts: 0,
+                max_attempts: options.maxAttempts,
+                available_at: options.availableAt || now,
+                last_error: null,
+                locked_at: null,
+                created_at: now,
+                updated_at: now
+            };
+
+            await connection.execute(
+                `INSERT INTO jobs
+        (id, queue_name, payload, status, attempts, max_attempts, available_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    job.id,
+                    job.queue,
+                    JSON.stringify(job.payload),
+                    job.status,
+                    job.attempts,
+                    job.max_attempts,
+                    job.available_at,
+                    job.created_at,
+                    job.updated_at
+                ]
+            );
+            return job;
+        } catch (error) {
+            throw new Error(`Failed to enqueue job: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Claim the next available job of a queue
+     * @param {string} queue - Queue name
+     * @param {number} lockTimeout - Milliseconds after which a job left in processing is claimable again
+     * @returns {Promise<Object|null>} Claimed job, with the claim_token that proves the lock, or null if none is available
+     */
+    async claim(queue, lockTimeout) {
+        const connection = await getConnection();
+        try {
+            const now = new Date();
+            const claimToken = uuidv4();
+
+            const [result] = await connection.execute(
+                `UPDATE jobs SET status = 'processing', attempts = attempts + 1,
+        locked_at = ?, locked_by = ?, updated_at = ?
+        WHERE queue_name = ?
+        AND ((status = 'pending' AND available_at <= ?) OR (status = 'processing' AND locked_at <= ?))
+        ORDER BY available_at ASC
+        LIMIT 1`,
+                [now, claimToken, now, queue, now, new Date(now.getTime() - lockTimeout)]
+            );
+            if (result.affectedRows === 0) return null;
+
+            const [rows] = await connection.execute(
+                'SELECT * FROM jobs WHERE locked_by = ?',
+                [claimToken]
+            );
+            return rows.length > 0 ? { ...this.fromRow(rows[0]), claim_token: claimToken } : null;
+        } catch (error) {
+            throw new Error(`Failed to claim job: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Mark a job as completed
+     * @param {string} id - Job ID
+     * @param {string} claimToken - Claim token of the worker that ran the job
+     * @returns {Promise<boolean>} False if the lock expired and another worker reclaimed the job
+     */
+    async complete(id, claimToken) {
+        return this.release(id, claimToken, `status = 'completed'`, []);
+    }
+
+    /**
+     * Put a failed job back in the queue to be retried later
+     * @param {string} id - Job ID
+     * @param {string} claimToken - Claim token of the worker that ran the job
+     * @param {string} error - Error message
+     * @param {Date} availableAt - When the job may be retried
+     * @returns {Promise<boolean>} False if the lock expired and another worker reclaimed the job
+     */
+    async retry(id, claimToken, error, availableAt) {
+        return this.release(id, claimToken, `status = 'pending', last_error = ?, available_at = ?`, [error, availableAt]);
+    }
+
+    /**
+     * Move a job to the dead-letter store
+     * @param {string} id - Job ID
+     * @param {string} claimToken - Claim token of the worker that ran the job
+     * @param {string} error - Error message
+     * @returns {Promise<boolean>} False if the lock expired and another worker reclaimed the job
+     */
+    async bury(id, claimToken, error) {
+        return this.release(id, claimToken, `status = 'dead', last_error = ?`, [error]);
+    }
+
+    /**
+     * Find a job by its ID
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} The job or null
+     */
+    async findById(id) {
+        const connection = await getConnection();
+        try {
+            const [rows] = await connection.execute('SELECT * FROM jobs WHERE id = ?', [id]);
+            return rows.length > 0 ? this.fromRow(rows[0]) : null;
+        } catch (error) {
+            throw new Error(`Failed to find job: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * List jobs of a queue by status, newest first
+     * @param {Object} filters - Filters (queue, status)
+     * @param {number} limit - Maximum number of jobs
+     * @returns {Promise<Array>} Jobs
+     */
+    async list({ queue = null, status = null } = {}, limit = 50) {
+        const connection = await getConnection();
+        try {
+            let query = 'SELECT * FROM jobs WHERE 1 = 1';
+            const params = [];
+
+            if (queue) {
+                query += ' AND queue_name = ?';
+                params.push(queue);
+            }
+
+            if (status) {
+                query += ' AND status = ?';
+                params.push(status);
+            }
+
+            // LIMIT can't be a prepared statement placeholder with execute()
+            query += ` ORDER BY updated_at DESC LIMIT ${parseInt(limit, 10)}`;
+
+            const [rows] = await connection.execute(query, params);
+            return rows.map(row => this.fromRow(row));
+        } catch (error) {
+            throw new Error(`Failed to list jobs: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Move a dead job back to pending with a fresh attempt counter
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} The replayed job, or null if it is not dead
+     */
+    async replay(id) {
+        const connection = await getConnection();
+        try {
+            const now = new Date();
+            const [result] = await connection.execute(
+                `UPDATE jobs SET status = 'pending', attempts = 0, available_at = ?, updated_at = ?
+        WHERE id = ? AND status = 'dead'`,
+                [now, now, id]
+            );
+            if (result.affectedRows === 0) return null;
+        } catch (error) {
+            throw new Error(`Failed to replay job: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+
+        return this.findById(id);
+    }
+
+    /**
+     * Record the result of a claimed job and unlock it, provided the claim still holds
+     * @param {string} id - Job ID
+     * @param {string} claimToken - Claim token of the worker that ran the job
+     * @param {string} assignments - SQL SET assignments
+     * @param {Array} params - Parameters for the assignments
+     * @returns {Promise<boolean>} False if the job is locked by another claim
+     */
+    async release(id, claimToken, assignments, params) {
+        const connection = await getConnection();
+        try {
+            const [result] = await connection.execute(
+                `UPDATE jobs SET ${assignments}, locked_at = NULL, locked_by = NULL, updated_at = ?
+        WHERE id = ? AND locked_by = ?`,
+                [...params, new Date(), id, claimToken]
+            );
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw new Error(`Failed to update job: ${error.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Build a job object from a database row
+     * @param {Object} row - Row from the jobs table
+     * @returns {Object} Job
+     */
+    fromRow(row) {
+        const { queue_name: queue, locked_by, ...job } = row;
+        return {
+            ...job,
+            queue,
+            payload: job.payload ? JSON.parse(job.payload) : null
+        };
+    }
+}
+
+module.exports = MysqlQueueAdapter;
@@ -0,0 +1,108 @@
+const queueConfig = require('../config/queue.js');
+const MemoryQueueAdapter = require('./adapters/memory.js');
+const MysqlQueueAdapter = require('./adapters/mysql.js');
+const Worker = require('./worker.js');
+
+/**
+ * Job queue with pluggable storage. Producers enqueue jobs on named queues and
+ * workers registered with process() consume them in the background
+ */
+class JobQueue {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.workers = new Map();
+    }
+
+    /**
+     * Add a job to a queue
+     * @param {string} queue - Queue name
+     * @param {Object} payload - Job payload
+     * @param {Object} options - Job options (maxAttempts, availableAt)
+     * @returns {Promise<Object>} Created job
+     */
+    async enqueue(queue, payload, options = {}) {
+        const job = await this.adapter.enqueue(queue, payload, options);
+
+        // Let a local worker pick the job up without waiting for its next poll
+        const worker = this.workers.get(queue);
+        if (worker && !options.availableAt) {
+            worker.wake();
+        }
+
+        return job;
+    }
+
+    /**
+     * Register the handler for a queue
+     * @param {string} queue - Queue name
+     * @param {Function} handler - Async function receiving the job; throwing schedules a retry
+     * @param {Object} options - Worker options overriding the queue config
+     */
+    process(queue, handler, options = {}) {
+        this.workers.set(queue, new Worker(this.adapter, queue, handler, {
+            concurrency: 1,
+            pollInterval: queueConfig.pollInterval,
+            lockTimeout: queueConfig.lockTimeout,
+            backoffBase: queueConfig.backoffBase,
+            backoffMax: queueConfig.backoffMax,
+            maxAttempts: queueConfig.maxAttempts,
+            ...options
+        }));
+    }
+
+    /**
+     * Start every registered worker
+     */
+    start() {
+        for (const worker of this.workers.values()) {
+            worker.start();
+        }
+    }
+
+    /**
+     * Stop every registered worker, waiting for running jobs
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        await Promise.all([...this.workers.values()].map(worker => worker.stop()));
+    }
+
+    /**
+     * Find a job by its ID
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} The job or null
+     */
+    async findById(id) {
+        return this.adapter.findById(id);
+    }
+
+    /**
+     * List jobs in the dead-letter store
+     * @param {string} queue - Optional queue name filter
+     * @param {number} limit - Maximum number of jobs
+     * @returns {Promise<Array>} Dead jobs, most recently failed first
+     */
+    async listDead(queue = null, limit = 50) {
+        return this.adapter.list({ queue, status: 'dead' }, limit);
+    }
+
+    /**
+     * Move a dead job back to its queue
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} The replayed job, or null if it is not dead
+     */
+    async replay(id) {
+        const job = await this.adapter.replay(id);
+
+        if (job) {
+            const worker = this.workers.get(job.queue);
+            if (worker) worker.wake();
+        }
+
+        return job;
+    }
+}
+
+module.exports = new JobQueue(
+    queueConfig.driver === 'memory' ? new MemoryQueueAdapter() : new MysqlQueueAdapter()
+);
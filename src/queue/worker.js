@@ -0,0 +1,132 @@
+const logger = require('../utils/logger.js');
+
+/**
+ * Polls one queue and runs its jobs through a handler, retrying failures with
+ * exponential backoff and burying jobs that run out of attempts
+ */
+class Worker {
+    /**
+     * @param {Object} adapter - Queue adapter
+     * @param {string} queue - Queue name
+     * @param {Function} handler - Async function receiving the job
+     * @param {Object} options - Worker options (concurrency, pollInterval, lockTimeout, backoffBase, backoffMax, maxAttempts)
+     */
+    constructor(adapter, queue, handler, options) {
+        this.adapter = adapter;
+        this.queue = queue;
+        this.handler = handler;
+        this.options = options;
+        this.running = false;
+        this.active = 0;
+        this.timer = null;
+        this.inFlight = new Set();
+    }
+
+    /**
+     * Start polling the queue
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        logger.info(`Worker started for queue ${this.queue}`);
+        this.wake();
+    }
+
+    /**
+     * Stop polling and wait for running jobs to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        await Promise.all([...this.inFlight]);
+        logger.info(`Worker stopped for queue ${this.queue}`);
+    }
+
+    /**
+     * Look for work right away instead of waiting for the next poll
+     */
+    wake() {
+        if (!this.running) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.active < this.options.concurrency) {
+            this.active += 1;
+            const run = this.runNext();
+            this.inFlight.add(run);
+            run.finally(() => this.inFlight.delete(run));
+        }
+    }
+
+    /**
+     * Claim and run jobs until the queue is empty, then schedule the next poll
+     * @returns {Promise<void>}
+     */
+    async runNext() {
+        try {
+            while (this.running) {
+                const job = await this.adapter.claim(this.queue, this.options.lockTimeout);
+                if (!job) break;
+                await this.execute(job);
+            }
+        } catch (error) {
+            logger.error(`Worker for queue ${this.queue} failed to claim a job:`, error);
+        } finally {
+            this.active -= 1;
+            if (this.running && this.active === 0 && !this.timer) {
+                this.timer = setTimeout(() => this.wake(), this.options.pollInterval);
+            }
+        }
+    }
+
+    /**
+     * Run a claimed job and record its result
+     * @param {Object} job - Claimed job
+     * @returns {Promise<void>}
+     */
+    async execute(job) {
+        try {
+            await this.handler(job);
+            this.checkLock(job, await this.adapter.complete(job.id, job.claim_token));
+        } catch (error) {
+            const maxAttempts = job.max_attempts || this.options.maxAttempts;
+
+            // Handlers flag errors that will fail the same way on every attempt with retryable = false
+            if (error.retryable === false || job.attempts >= maxAttempts) {
+                const reason = error.retryable === false ? 'a non-retryable error' : `${job.attempts} attempts`;
+                logger.error(`Job ${job.id} on queue ${this.queue} moved to dead-letter after ${reason}: ${error.message}`);
+                this.checkLock(job, await this.adapter.bury(job.id, job.claim_token, error.message));
+                return;
+            }
+
+            const delay = error.retryAfter || this.backoff(job.attempts);
+            logger.warn(`Job ${job.id} on queue ${this.queue} failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+            this.checkLock(job, await this.adapter.retry(job.id, job.claim_token, error.message, new Date(Date.now() + delay)));
+        }
+    }
+
+    /**
+     * Report a job whose result could not be recorded because its lock expired
+     * and another worker reclaimed it
+     * @param {Object} job - Claimed job
+     * @param {boolean} held - Whether the adapter found the lock still held
+     */
+    checkLock(job, held) {
+        if (!held) {
+            logger.warn(`Job ${job.id} on queue ${this.queue} lost its lock while running; its result was discarded`);
+        }
+    }
+
+    /**
+     * Compute the delay before the next attempt
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    backoff(attempts) {
+        const { backoffBase, backoffMax } = this.options;
+        return Math.min(backoffBase * Math.pow(2, attempts - 1), backoffMax);
+    }
+}
+
+module.exports = Worker;
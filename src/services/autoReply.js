@@ -0,0 +1,206 @@
+const whatsappService = require('./whatsapp.js');
+const openaiService = require('./openai.js');
+const databaseService = require('./database.js');
+const handoffService = require('./handoff.js');
+const consentService = require('./consent.js');
+const jobQueue = require('../queue/index.js');
+const autoReplyConfig = require('../config/autoReply.js');
+const MessageAggregator = require('../utils/messageAggregator.js');
+const logger = require('../utils/logger.js');
+
+// Inbound message types that carry text the assistant can answer
+// (for interactive and button replies, the title the user selected; for audio, the transcript)
+const TEXT_MESSAGE_TYPES = ['text', 'interactive', 'button', 'audio'];
+
+// Inbound media the assistant is shown, with or without a caption
+const FILE_MESSAGE_TYPES = ['image', 'document'];
+
+/**
+ * Service that answers inbound WhatsApp messages with the OpenAI assistant
+ */
+class AutoReplyService {
+    constructor() {
+        // Bursts of messages in one conversation are answered as a single assistant turn,
+        // queued once the burst is over so a failed answer is retried like any other job
+        this.aggregator = new MessageAggregator((conversationId, messages) => this.enqueueReply(conversationId, messages));
+    }
+
+    /**
+     * Subscribe to inbound messages stored by the WhatsApp service
+     */
+    register() {
+        whatsappService.onInboundMessage((conversation, message) => this.handleInboundMessage(conversation, message));
+    }
+
+    /**
+     * Check whether the auto-responder is enabled for a conversation. An explicit
+     * conversation setting wins over the phone number setting
+     * @param {Object} conversation - Conversation object
+     * @param {string} phoneNumberId - Business phone number ID the message was sent to
+     * @returns {boolean} True if the bot should answer
+     */
+    isEnabled(conversation, phoneNumberId) {
+        const config = conversation.config || {};
+        if (typeof config.auto_reply === 'boolean') {
+            return config.auto_reply;
+        }
+
+        const { phoneNumberIds } = autoReplyConfig;
+        return phoneNumberIds.includes('*') || phoneNumberIds.includes(phoneNumberId);
+    }
+
+    /**
+     * Get the quiet window used to merge consecutive messages of a conversation
+     * @param {Object} conversation - Conversation object
+     * @returns {number} Window in milliseconds, 0 when messages are answered one by one
+     */
+    getDebounceWindow(conversation) {
+        const config = conversation.config || {};
+        const windowMs = Number.isInteger(config.debounce_ms) ? config.debounce_ms : autoReplyConfig.debounceMs;
+        return Math.max(windowMs || 0, 0);
+    }
+
+    /**
+     * Check whether a person is handling the conversation
+     * @param {Object} conversation - Conversation object
+     * @returns {boolean} True if the bot must stay quiet
+     */
+    isHandledByHuman(conversation) {
+        return handoffService.isTaken(conversation);
+    }
+
+    /**
+     * Collect an inbound message for an answer. Messages are handed to the auto-reply
+     * queue once the conversation's quiet window passes without new messages, or right
+     * away when there is no window, so ingestion never waits for the assistant
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Stored inbound message
+     * @returns {Promise<void>}
+     */
+    async handleInboundMessage(conversation, message) {
+        const phoneNumberId = message.business_phone_number_id;
+
+        const answerable = FILE_MESSAGE_TYPES.includes(message.type)
+            ? Boolean(message.media && message.media.key)
+            : TEXT_MESSAGE_TYPES.includes(message.type) && Boolean(message.text);
+        if (!answerable) {
+            return;
+        }
+
+        if (!phoneNumberId || !this.isEnabled(conversation, phoneNumberId)) {
+            return;
+        }
+
+        if (this.isHandledByHuman(conversation)) {
+            logger.info(`Auto-reply skipped for conversation ${conversation.id}: status is ${conversation.status}`);
+            return;
+        }
+
+        // The user asked for a person: messages still waiting for their quiet window are dropped by reply()
+        if (await handoffService.handleKeyword(conversation, message)) {
+            return;
+        }
+
+        const windowMs = this.getDebounceWindow(conversation);
+        if (windowMs === 0) {
+            await this.enqueueReply(conversation.id, [message]);
+            return;
+        }
+
+        this.aggregator.add(conversation.id, message, windowMs);
+    }
+
+    /**
+     * Queue the answer to one or more consecutive inbound messages
+     * @param {string} conversationId - Conversation ID
+     * @param {Array} messages - Inbound messages, oldest first
+     * @returns {Promise<Object>} The queued job
+     */
+    async enqueueReply(conversationId, messages) {
+        return jobQueue.enqueue(autoReplyConfig.queue, {
+            conversation_id: conversationId,
+            message_ids: messages.map(message => message.id)
+        });
+    }
+
+    /**
+     * Answer one or more consecutive inbound messages with a single assistant run
+     * @param {string} conversationId - Conversation ID
+     * @param {Array} messages - Inbound messages, oldest first
+     * @returns {Promise<Object|null>} Sent reply message, or null if the bot did not answer
+     */
+    async reply(conversationId, messages) {
+        // Reload the conversation: it may have been taken over or closed while messages were collected
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation || conversation.status === 'closed' || this.isHandledByHuman(conversation)) {
+            logger.info(`Auto-reply skipped for conversation ${conversationId}: no longer handled by the bot`);
+            return null;
+        }
+
+        const lastMessage = messages[messages.length - 1];
+        const phoneNumberId = lastMessage.business_phone_number_id;
+
+        // The answer could not be sent anyway, so don't run the assistant
+        if (await consentService.isOptedOut(conversation.wa_id, phoneNumberId, 'service')) {
+            logger.info(`Auto-reply skipped for conversation ${conversationId}: ${conversation.wa_id} opted out`);
+            return null;
+        }
+
+        try {
+            // Marking the latest message as read marks the earlier ones too
+            await whatsappService.markMessageAsRead(lastMessage.wa_id, phoneNumberId);
+        } catch (error) {
+            // Not being able to show the blue ticks shouldn't stop the answer
+            logger.warn(`Could not mark message ${lastMessage.id} as read: ${error.message}`);
+        }
+
+        const sendText = (text) => whatsappService.sendTextMessage(
+            conversation.wa_id,
+            text,
+            phoneNumberId,
+            conversation.id
+        );
+
+        const sendResponse = async (aiResponse) => {
+            const responseText = aiResponse.text;
+            if (!responseText) {
+                // A reply made of a single paragraph may have been sent in full already
+                if (!aiResponse.early_text) {
+                    logger.warn(`Auto-reply for conversation ${conversation.id} got no text from the assistant`);
+                }
+                return null;
+            }
+
+            return sendText(responseText);
+        };
+
+        const provider = openaiService.resolveProvider(conversation, phoneNumberId);
+        const userTurn = await openaiService.buildUserInput(messages, { files: provider.acceptsFiles });
+        const aiResponse = await openaiService.processConversation(userTurn, conversation, {
+            phoneNumberId,
+            onResponse: sendResponse,
+            onPartial: sendText
+        });
+
+        if (!aiResponse) {
+            // Another run is active: the input was queued and will be answered by its holder
+            logger.info(`Auto-reply for conversation ${conversation.id} queued behind the active run`);
+            return null;
+        }
+
+        const reply = await sendResponse(aiResponse);
+
+        logger.info(`Auto-replied to ${messages.length} message(s) in conversation ${conversation.id}`);
+        return reply;
+    }
+
+    /**
+     * Queue the answer to every message still waiting for its quiet window (e.g. on shutdown)
+     * @returns {Promise<void>}
+     */
+    async flushPending() {
+        await this.aggregator.releaseAll();
+    }
+}
+
+module.exports = new AutoReplyService();
@@ -0,0 +1,213 @@
+const databaseService = require('./database.js');
+const consentConfig = require('../config/consent.js');
+const logger = require('../utils/logger.js');
+const { normalizeText } = require('../utils/text.js');
+const { ApiError } = require('../utils/errors.js');
+
+const CATEGORIES = ['marketing', 'service'];
+const OPTED_IN = 'opted_in';
+const OPTED_OUT = 'opted_out';
+const DETAIL_LIMIT = 255;
+
+// Columns of the CSV export, in order
+const EXPORT_FIELDS = ['id', 'created_at', 'wa_id', 'business_phone_number_id', 'category', 'status', 'source', 'detail', 'message_id'];
+
+/**
+ * Service for the consent of WhatsApp users to receive messages. Consent is kept per user,
+ * business number and category (marketing or service) as an append-only log; a user
+ * without any entry is considered opted in
+ */
+class ConsentService {
+    /**
+     * Map the category of a template to a consent category. Utility and authentication
+     * templates are service messages
+     * @param {string|null} templateCategory - Template category, null for free-form messages
+     * @returns {string} marketing or service
+     */
+    categoryFor(templateCategory) {
+        return templateCategory === 'marketing' ? 'marketing' : 'service';
+    }
+
+    /**
+     * Find the consent change requested by an inbound message. The whole message must be
+     * an opt-out or opt-in keyword, so STOP inside a sentence changes nothing
+     * @param {string} text - Message text
+     * @returns {string|null} opted_out, opted_in, or null
+     */
+    matchKeyword(text) {
+        if (!text) return null;
+
+        const normalized = normalizeText(text);
+        if (consentConfig.optOutKeywords.some((keyword) => normalizeText(keyword) === normalized)) {
+            return OPTED_OUT;
+        }
+        if (consentConfig.optInKeywords.some((keyword) => normalizeText(keyword) === normalized)) {
+            return OPTED_IN;
+        }
+        return null;
+    }
+
+    /**
+     * Record a consent change of a user for a business number
+     * @param {string} waId - WhatsApp ID or phone number of the user, stored as a WhatsApp ID
+     * @param {string} phoneNumberId - Business phone number ID
+     * @param {Object} change - status, source, categories (defaults to every category), detail and messageId
+     * @returns {Promise<Array<Object>>} The recorded consents, one per category
+     */
+    async record(waId, phoneNumberId, { status, source, categories = CATEGORIES, detail = null, messageId = null }) {
+        // Stored the way isOptedOut looks it up, or the send checks would never match it
+        const contactWaId = toWaId(waId);
+
+        const consents = [];
+        for (const category of categories) {
+            consents.push(await databaseService.createConsent({
+                wa_id: contactWaId,
+                business_phone_number_id: phoneNumberId,
+                category,
+                status,
+                source,
+                detail: detail ? String(detail).slice(0, DETAIL_LIMIT) : null,
+                message_id: messageId
+            }));
+        }
+
+        logger.info(`Consent of ${contactWaId} for ${phoneNumberId} (${categories.join(', ')}) set to ${status} (${source})`);
+        return consents;
+    }
+
+    /**
+     * Record the consent change of an inbound keyword message. Categories already recorded
+     * for the message are skipped, so a redelivered or retried message changes nothing twice
+     * @param {string} waId - WhatsApp ID of the user
+     * @param {Object} message - Stored inbound message
+     * @param {string} status - opted_in or opted_out
+     * @returns {Promise<Array<Object>>} The consents recorded now, empty if the message was already handled
+     */
+    async recordKeyword(waId, message, status) {
+        const recorded = (await databaseService.findConsentsByMessageId(message.id)).map((consent) => consent.category);
+        const categories = CATEGORIES.filter((category) => !recorded.includes(category));
+        if (categories.length === 0) {
+            return [];
+        }
+
+        return this.record(waId, message.business_phone_number_id, {
+            status,
+            source: 'keyword',
+            categories,
+            detail: message.text,
+            messageId: message.id
+        });
+    }
+
+    /**
+     * Check whether a user opted out of a category of messages from a business number
+     * @param {string} waId - WhatsApp ID or phone number of the user
+     * @param {string} phoneNumberId - Business phone number ID
+     * @param {string} category - marketing or service
+     * @returns {Promise<boolean>} True if the latest consent is an opt-out
+     */
+    async isOptedOut(waId, phoneNumberId, category) {
+        const consent = await databaseService.findLatestConsent(toWaId(waId), phoneNumberId, category);
+        return consent !== null && consent.status === OPTED_OUT;
+    }
+
+    /**
+     * Refuse a send to a user who opted out of its category
+     * @param {string} to - Recipient phone number
+     * @param {string} phoneNumberId - Business phone number ID
+     * @param {string} category - marketing or service
+     * @returns {Promise<void>}
+     * @throws {ApiError} 403 if the recipient opted out
+     */
+    async assertAllowed(to, phoneNumberId, category) {
+        if (await this.isOptedOut(to, phoneNumberId, category)) {
+            throw new ApiError(403, `${to} opted out of ${category} messages from ${phoneNumberId}`);
+        }
+    }
+
+    /**
+     * Get the consent of a user: the current state per business number and category, and
+     * the full log
+     * @param {string} waId - WhatsApp ID of the user
+     * @returns {Promise<Object>} { current, history }
+     */
+    async get(waId) {
+        const history = [];
+        let after = null;
+        do {
+            const batch = await databaseService.listConsents({ wa_id: waId }, { limit: consentConfig.exportBatchSize, after });
+            history.push(...batch);
+            after = batch.length === consentConfig.exportBatchSize ? batch[batch.length - 1] : null;
+        } while (after);
+
+        // The log is in order, so the last entry of each number and category wins
+        const current = new Map();
+        history.forEach((consent) => {
+            current.set(`${consent.business_phone_number_id}:${consent.category}`, {
+                business_phone_number_id: consent.business_phone_number_id,
+                category: consent.category,
+                status: consent.status,
+                source: consent.source,
+                updated_at: consent.created_at
+            });
+        });
+
+        return { current: [...current.values()], history };
+    }
+
+    /**
+     * Read the consent log in batches, oldest first, for audits
+     * @param {Object} filters - Any of wa_id, business_phone_number_id, category, from and to
+     * @returns {AsyncGenerator<Array<Object>>} Batches of consents
+     */
+    async *export(filters = {}) {
+        let after = null;
+        do {
+            const batch = await databaseService.listConsents(filters, { limit: consentConfig.exportBatchSize, after });
+            if (batch.length > 0) {
+                yield batch;
+            }
+            after = batch.length === consentConfig.exportBatchSize ? batch[batch.length - 1] : null;
+        } while (after);
+    }
+
+    /**
+     * Header line of the CSV export
+     * @returns {string} CSV line, including the line break
+     */
+    csvHeader() {
+        return `${EXPORT_FIELDS.join(',')}\r\n`;
+    }
+
+    /**
+     * Format a consent as a CSV line
+     * @param {Object} consent - Consent
+     * @returns {string} CSV line, including the line break
+     */
+    toCsv(consent) {
+        return `${EXPORT_FIELDS.map((field) => csvValue(consent[field])).join(',')}\r\n`;
+    }
+}
+
+/**
+ * Reduce a phone number to the digits of a WhatsApp ID
+ * @param {string} phone - Phone number, possibly with +, spaces or dashes
+ * @returns {string} WhatsApp ID
+ */
+function toWaId(phone) {
+    return String(phone).replace(/\D/g, '');
+}
+
+/**
+ * Quote a CSV value when needed (RFC 4180)
+ * @param {*} value - Value
+ * @returns {string} CSV field
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = new ConsentService();
@@ -1,4 +1,5 @@
-const { Conversation, Message } = require('../models/index.js');
+const { Conversation, Message, ConversationLock, PendingRunInput, MessageTemplate, ToolCall, Contact, Consent } = require('../models/index.js');
+const { DuplicateMessageError } = require('../utils/errors.js');
 
 /**
  * Service for handling database operations
@@ -48,18 +49,64 @@ class DatabaseService {
     }
 
     /**
-     * Update conversation status
+     * Find the open (not closed) conversation of a WhatsApp user
+     * @param {string} waId - WhatsApp ID
+     * @returns {Promise<Object|null>} Found conversation or null
+     */
+    async findOpenConversationByWaId(waId) {
+        try {
+            return await Conversation.findOpenByWaId(waId);
+        } catch (error) {
+            console.error('Error finding open conversation by wa_id:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List conversations page by page
+     * @param {Object} filters - Search filters, see Conversation.search
+     * @param {Object} page - Page options (sort, order, limit, after)
+     * @returns {Promise<Object>} { conversations, nextCursor }
+     */
+    async searchConversations(filters, page) {
+        try {
+            return await Conversation.search(filters, page);
+        } catch (error) {
+            console.error('Error searching conversations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find conversations without any change or message since a date
+     * @param {Array<string>} statuses - Statuses to look in
+     * @param {Date} before - Last activity must be older than this
+     * @param {number} limit - Maximum number of conversations
+     * @returns {Promise<Array>} Inactive conversations
+     */
+    async findInactiveConversations(statuses, before, limit) {
+        try {
+            return await Conversation.findInactive(statuses, before, limit);
+        } catch (error) {
+            console.error('Error finding inactive conversations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update conversation status, following the lifecycle
      * @param {string} id - Conversation ID
      * @param {string} status - New status
+     * @param {string} reason - Why the status changes
      * @returns {Promise<Object>} Updated conversation
      */
-    async updateConversationStatus(id, status) {
+    async updateConversationStatus(id, status, reason = null) {
         try {
             const conversation = await Conversation.findById(id);
             if (!conversation) {
                 throw new Error(`Conversation with ID ${id} not found`);
             }
-            return await conversation.updateStatus(status);
+            return await conversation.updateStatus(status, reason);
         } catch (error) {
             console.error('Error updating conversation status:', error);
             throw error;
@@ -85,6 +132,141 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Link the open conversations of a WhatsApp user to our own user and patient
+     * @param {string} waId - WhatsApp ID
+     * @param {Object} links - { user_id, patient_id }
+     * @returns {Promise<number>} Number of conversations updated
+     */
+    async linkOpenConversations(waId, links) {
+        try {
+            return await Conversation.linkOpenByWaId(waId, links);
+        } catch (error) {
+            console.error('Error linking conversations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record an inbound message of a WhatsApp user on their contact
+     * @param {string} waId - WhatsApp ID
+     * @param {string|null} profileName - Profile name sent with the message
+     * @param {Date} seenAt - When the message was sent
+     * @returns {Promise<Object>} Updated contact
+     */
+    async recordContactSeen(waId, profileName, seenAt) {
+        try {
+            return await Contact.recordSeen(waId, profileName, seenAt);
+        } catch (error) {
+            console.error('Error recording contact:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a contact by WhatsApp ID
+     * @param {string} waId - WhatsApp ID
+     * @returns {Promise<Object|null>} Found contact or null
+     */
+    async findContactByWaId(waId) {
+        try {
+            return await Contact.findByWaId(waId);
+        } catch (error) {
+            console.error('Error finding contact:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List contacts page by page
+     * @param {Object} filters - Any of name, user_id and patient_id
+     * @param {Object} page - Page options (limit, after)
+     * @returns {Promise<Object>} { contacts, nextCursor }
+     */
+    async listContacts(filters, page) {
+        try {
+            return await Contact.list(filters, page);
+        } catch (error) {
+            console.error('Error listing contacts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a contact
+     * @param {Object} data - Contact data
+     * @returns {Promise<Object>} Created contact
+     */
+    async createContact(data) {
+        try {
+            const contact = new Contact(data);
+            return await contact.create();
+        } catch (error) {
+            console.error('Error creating contact:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Append a consent change to the consent log
+     * @param {Object} data - Consent data
+     * @returns {Promise<Object>} Created consent
+     */
+    async createConsent(data) {
+        try {
+            const consent = new Consent(data);
+            return await consent.create();
+        } catch (error) {
+            console.error('Error creating consent:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the current consent of a user for a business number and category
+     * @param {string} waId - WhatsApp ID
+     * @param {string} phoneNumberId - Business phone number ID
+     * @param {string} category - marketing or service
+     * @returns {Promise<Object|null>} Latest consent or null
+     */
+    async findLatestConsent(waId, phoneNumberId, category) {
+        try {
+            return await Consent.findLatest(waId, phoneNumberId, category);
+        } catch (error) {
+            console.error('Error finding consent:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the consent changes made by an inbound message
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Array>} Consents
+     */
+    async findConsentsByMessageId(messageId) {
+        try {
+            return await Consent.findByMessageId(messageId);
+        } catch (error) {
+            console.error('Error finding consents:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List consent changes, oldest first
+     * @param {Object} filters - Any of wa_id, business_phone_number_id, category, from and to
+     * @param {Object} page - Page options (limit, after)
+     * @returns {Promise<Array>} Consents
+     */
+    async listConsents(filters, page) {
+        try {
+            return await Consent.list(filters, page);
+        } catch (error) {
+            console.error('Error listing consents:', error);
+            throw error;
+        }
+    }
+
     /**
      * Create a new message
      * @param {Object} data - Message data
@@ -95,7 +277,9 @@ class DatabaseService {
             const message = new Message(data);
             return await message.create();
         } catch (error) {
-            console.error('Error creating message:', error);
+            if (!(error instanceof DuplicateMessageError)) {
+                console.error('Error creating message:', error);
+            }
             throw error;
         }
     }
@@ -157,6 +341,20 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Find a message by its WhatsApp message ID
+     * @param {string} waId - WhatsApp message ID
+     * @returns {Promise<Object|null>} Found message or null
+     */
+    async findMessageByWaId(waId) {
+        try {
+            return await Message.findByWaId(waId);
+        } catch (error) {
+            console.error('Error finding message by wa_id:', error);
+            throw error;
+        }
+    }
+
     /**
      * Find messages by conversation ID
      * @param {string} conversationId - Conversation ID
@@ -173,6 +371,96 @@ class DatabaseService {
         }
     }
 
+    /**
+     * List the messages of a conversation page by page
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} filters - Any of type, status, before and after
+     * @param {Object} page - Page options (order, limit, after)
+     * @returns {Promise<Object>} { messages, nextCursor }
+     */
+    async findMessagePage(conversationId, filters, page) {
+        try {
+            return await Message.findPage(conversationId, filters, page);
+        } catch (error) {
+            console.error('Error finding message page:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the latest messages of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} options - Options (limit, query)
+     * @returns {Promise<Array>} Messages, oldest first
+     */
+    async findRecentMessages(conversationId, options = {}) {
+        try {
+            return await Message.findRecent(conversationId, options);
+        } catch (error) {
+            console.error('Error finding recent messages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the most recent inbound message of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object|null>} Last inbound message or null
+     */
+    async findLastInboundMessage(conversationId) {
+        try {
+            return await Message.findLastInbound(conversationId);
+        } catch (error) {
+            console.error('Error finding last inbound message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update the delivery fields (status, wa_id, job_id, error) of an outbound message
+     * @param {string} id - Message ID
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object|null>} Updated message
+     */
+    async updateMessageDelivery(id, changes) {
+        try {
+            return await Message.updateDelivery(id, changes);
+        } catch (error) {
+            console.error('Error updating message delivery:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remember the OpenAI file uploaded for a message's media
+     * @param {string} id - Message ID
+     * @param {string} fileId - OpenAI file ID
+     * @returns {Promise<void>}
+     */
+    async setMessageOpenAIFile(id, fileId) {
+        try {
+            await Message.setOpenAIFile(id, fileId);
+        } catch (error) {
+            console.error('Error updating message OpenAI file:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find outbound messages whose delivery failed
+     * @param {Object} filters - Optional filters (business_phone_number_id)
+     * @param {number} limit - Maximum number of messages
+     * @returns {Promise<Array>} Failed messages, most recent first
+     */
+    async findFailedOutboundMessages(filters = {}, limit = 50) {
+        try {
+            return await Message.findFailedOutbound(filters, limit);
+        } catch (error) {
+            console.error('Error finding failed outbound messages:', error);
+            throw error;
+        }
+    }
+
     /**
      * Update message status
      * @param {string} id - Message ID
@@ -191,6 +479,190 @@ class DatabaseService {
             throw error;
         }
     }
+
+    /**
+     * Record a WhatsApp delivery status event on a message
+     * @param {string} waId - WhatsApp message ID the status refers to
+     * @param {Object} event - Status event (status, timestamp, errors)
+     * @returns {Promise<Object|null>} Updated message or null if no message matches
+     */
+    async recordMessageStatusEvent(waId, event) {
+        try {
+            const message = await Message.findByWaId(waId);
+            if (!message) {
+                return null;
+            }
+            return await message.recordStatusEvent(event);
+        } catch (error) {
+            console.error('Error recording message status event:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Try to take the run lock of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {string} owner - Unique token identifying the holder
+     * @param {number} ttl - Lock lifetime in milliseconds
+     * @returns {Promise<boolean>} True if the lock was acquired
+     */
+    async acquireConversationLock(conversationId, owner, ttl) {
+        try {
+            return await ConversationLock.acquire(conversationId, owner, ttl);
+        } catch (error) {
+            console.error('Error acquiring conversation lock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Extend the run lock of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {string} owner - Token of the holder
+     * @param {number} ttl - New lifetime in milliseconds
+     * @returns {Promise<boolean>} True if the lock is still held and was extended
+     */
+    async refreshConversationLock(conversationId, owner, ttl) {
+        try {
+            return await ConversationLock.refresh(conversationId, owner, ttl);
+        } catch (error) {
+            console.error('Error refreshing conversation lock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Release the run lock of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {string} owner - Token of the holder
+     * @returns {Promise<void>}
+     */
+    async releaseConversationLock(conversationId, owner) {
+        try {
+            await ConversationLock.release(conversationId, owner);
+        } catch (error) {
+            console.error('Error releasing conversation lock:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Queue user input for the run currently active on a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} input - User input: { content, parts, attachments }
+     * @returns {Promise<Object>} Queued input
+     */
+    async queuePendingRunInput(conversationId, input) {
+        try {
+            const pending = new PendingRunInput({ conversation_id: conversationId, ...input });
+            return await pending.create();
+        } catch (error) {
+            console.error('Error queuing run input:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove and return the queued user input of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Array>} Queued inputs, oldest first
+     */
+    async takePendingRunInputs(conversationId) {
+        try {
+            return await PendingRunInput.takeAll(conversationId);
+        } catch (error) {
+            console.error('Error taking queued run inputs:', error);
+            throw error;
+        }
+    }
+    /**
+     * Register a message template, replacing any definition with the same name and language
+     * @param {Object} data - Template definition
+     * @returns {Promise<Object>} Saved template
+     */
+    async saveMessageTemplate(data) {
+        try {
+            const template = new MessageTemplate(data);
+            return await template.save();
+        } catch (error) {
+            console.error('Error saving message template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a registered message template
+     * @param {string} name - Template name
+     * @param {string} language - Language code
+     * @returns {Promise<Object|null>} Found template or null
+     */
+    async findMessageTemplate(name, language) {
+        try {
+            return await MessageTemplate.findByNameAndLanguage(name, language);
+        } catch (error) {
+            console.error('Error finding message template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List registered message templates
+     * @param {Object} [filters] - Optional filters (category)
+     * @returns {Promise<Array>} Templates
+     */
+    async findMessageTemplates(filters = {}) {
+        try {
+            return await MessageTemplate.findAll(filters);
+        } catch (error) {
+            console.error('Error listing message templates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a registered message template
+     * @param {string} name - Template name
+     * @param {string} language - Language code
+     * @returns {Promise<boolean>} True if the template existed
+     */
+    async removeMessageTemplate(name, language) {
+        try {
+            return await MessageTemplate.remove(name, language);
+        } catch (error) {
+            console.error('Error removing message template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a function tool executed for an assistant run
+     * @param {Object} data - Tool call data
+     * @returns {Promise<Object>} Stored tool call
+     */
+    async createToolCall(data) {
+        try {
+            const toolCall = new ToolCall(data);
+            return await toolCall.create();
+        } catch (error) {
+            console.error('Error creating tool call:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the tool calls of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {number} limit - Maximum number of tool calls
+     * @returns {Promise<Array>} Tool calls, newest first
+     */
+    async findToolCalls(conversationId, limit = 50) {
+        try {
+            return await ToolCall.findByConversationId(conversationId, limit);
+        } catch (error) {
+            console.error('Error finding tool calls:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = new DatabaseService();
@@ -0,0 +1,195 @@
+const databaseService = require('./database.js');
+const whatsappService = require('./whatsapp.js');
+const jobQueue = require('../queue/index.js');
+const handoffConfig = require('../config/handoff.js');
+const logger = require('../utils/logger.js');
+const { normalizeText } = require('../utils/text.js');
+const { ApiError } = require('../utils/errors.js');
+
+const TAKEN_STATUS = 'taken';
+const RELEASED_STATUS = 'active';
+
+/**
+ * Service that hands conversations over to human agents and back to the bot. While a
+ * conversation is taken the AI does not answer it; the current handoff is kept in
+ * config.handoff ({ agent_id, reason, source, taken_at }, plus released_* once released)
+ */
+class HandoffService {
+    /**
+     * Check whether a person is handling the conversation
+     * @param {Object} conversation - Conversation object
+     * @returns {boolean} True if the AI must stay quiet
+     */
+    isTaken(conversation) {
+        return handoffConfig.humanStatuses.includes(conversation.status);
+    }
+
+    /**
+     * Hand a conversation over to a person. An agent may take over a handoff requested by
+     * the user or the assistant, but not one already held by another agent
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} options - Options (agentId, reason, source: agent, keyword or assistant)
+     * @returns {Promise<Object>} The taken conversation
+     * @throws {ApiError} 404 if the conversation does not exist, 409 if another agent holds it
+     */
+    async take(conversationId, { agentId = null, reason = null, source = 'agent' } = {}) {
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+
+        const current = (conversation.config || {}).handoff;
+        if (this.isTaken(conversation)) {
+            if (source !== 'agent' || (current && current.agent_id === agentId)) {
+                return conversation;
+            }
+            if (current && current.agent_id) {
+                throw new ApiError(409, `Conversation is already taken by agent ${current.agent_id}`);
+            }
+        }
+
+        const takenAt = new Date().toISOString();
+        await conversation.transition(TAKEN_STATUS, reason || `Handed over (${source})`);
+        await conversation.updateConfig({
+            handoff: {
+                agent_id: agentId,
+                reason,
+                source,
+                taken_at: takenAt
+            }
+        });
+
+        await this.scheduleIdleRelease(conversation.id, takenAt, Date.now());
+
+        logger.info(`Conversation ${conversation.id} taken (${source}${agentId ? ` by agent ${agentId}` : ''}): ${reason || 'no reason given'}`);
+        return conversation;
+    }
+
+    /**
+     * Give a taken conversation back to the bot
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} options - Options (agentId, reason, source: agent or idle)
+     * @returns {Promise<Object>} The released conversation
+     * @throws {ApiError} 404 if the conversation does not exist, 409 if it is not taken
+     */
+    async release(conversationId, { agentId = null, reason = null, source = 'agent' } = {}) {
+        const conversation = await databaseService.findConversationById(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'Conversation not found');
+        }
+        if (!this.isTaken(conversation)) {
+            throw new ApiError(409, `Conversation is not taken (status is ${conversation.status})`);
+        }
+
+        await conversation.transition(RELEASED_STATUS, reason || `Released (${source})`);
+        await conversation.updateConfig({
+            handoff: {
+                ...((conversation.config || {}).handoff || {}),
+                released_at: new Date().toISOString(),
+                released_by: agentId,
+                release_reason: reason,
+                release_source: source
+            }
+        });
+
+        logger.info(`Conversation ${conversation.id} released (${source}${agentId ? ` by agent ${agentId}` : ''}): ${reason || 'no reason given'}`);
+        return conversation;
+    }
+
+    /**
+     * Find the handoff keyword contained in a text
+     * @param {string} text - Message text
+     * @returns {string|null} The keyword found, or null
+     */
+    matchKeyword(text) {
+        if (!text) return null;
+
+        const words = ` ${normalizeText(text)} `;
+        return handoffConfig.keywords.find((keyword) => words.includes(` ${normalizeText(keyword)} `)) || null;
+    }
+
+    /**
+     * Hand the conversation over when an inbound message contains a keyword, telling the
+     * user a person will answer when HANDOFF_KEYWORD_REPLY is set
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Stored inbound message
+     * @returns {Promise<boolean>} True if the conversation was handed over
+     */
+    async handleKeyword(conversation, message) {
+        const keyword = this.matchKeyword(message.text);
+        if (!keyword) {
+            return false;
+        }
+
+        await this.take(conversation.id, { reason: `User wrote "${keyword}"`, source: 'keyword' });
+
+        if (handoffConfig.keywordReply) {
+            try {
+                await whatsappService.sendTextMessage(
+                    conversation.wa_id,
+                    handoffConfig.keywordReply,
+                    message.business_phone_number_id,
+                    conversation.id
+                );
+            } catch (error) {
+                logger.warn(`Could not confirm the handoff of conversation ${conversation.id}: ${error.message}`);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check a taken conversation for the idle timeout: release it if nothing was sent or
+     * received since, or check again when it would expire. Ignored if the conversation was
+     * released or taken again since the check was scheduled
+     * @param {string} conversationId - Conversation ID
+     * @param {string} takenAt - taken_at of the handoff being checked
+     * @returns {Promise<Object|null>} The released conversation, or null
+     */
+    async releaseIfIdle(conversationId, takenAt) {
+        const conversation = await databaseService.findConversationById(conversationId);
+        const handoff = conversation && (conversation.config || {}).handoff;
+        if (!handoffConfig.idleTimeoutMs || !conversation || !this.isTaken(conversation)
+            || !handoff || handoff.taken_at !== takenAt) {
+            return null;
+        }
+
+        const [lastMessage] = await databaseService.findRecentMessages(conversationId, { limit: 1 });
+        const lastActivity = Math.max(
+            new Date(takenAt).getTime(),
+            lastMessage ? new Date(lastMessage.created_at).getTime() : 0
+        );
+
+        if (Date.now() - lastActivity < handoffConfig.idleTimeoutMs) {
+            await this.scheduleIdleRelease(conversationId, takenAt, lastActivity);
+            return null;
+        }
+
+        return this.release(conversationId, {
+            reason: `No activity for ${Math.round(handoffConfig.idleTimeoutMs / 60000)} minutes`,
+            source: 'idle'
+        });
+    }
+
+    /**
+     * Schedule the idle timeout check of a handoff
+     * @param {string} conversationId - Conversation ID
+     * @param {string} takenAt - taken_at of the handoff
+     * @param {number} lastActivity - Timestamp (ms) the timeout counts from
+     * @returns {Promise<void>}
+     */
+    async scheduleIdleRelease(conversationId, takenAt, lastActivity) {
+        if (!handoffConfig.idleTimeoutMs) {
+            return;
+        }
+
+        await jobQueue.enqueue(
+            handoffConfig.queue,
+            { conversation_id: conversationId, taken_at: takenAt },
+            { availableAt: new Date(lastActivity + handoffConfig.idleTimeoutMs) }
+        );
+    }
+}
+
+module.exports = new HandoffService();
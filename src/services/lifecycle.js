@@ -0,0 +1,88 @@
+const databaseService = require('./database.js');
+const conversationsConfig = require('../config/conversations.js');
+const logger = require('../utils/logger.js');
+const { InvalidTransitionError } = require('../utils/errors.js');
+
+/**
+ * Service that closes inactive conversations in the background
+ */
+class LifecycleService {
+    constructor() {
+        this.timer = null;
+        this.sweeping = null;
+    }
+
+    /**
+     * Close every open conversation that has been inactive for longer than the timeout
+     * @returns {Promise<number>} Number of conversations closed
+     */
+    async closeInactive() {
+        const { inactivityTimeoutMs, sweptStatuses, sweepBatchSize } = conversationsConfig;
+        const before = new Date(Date.now() - inactivityTimeoutMs);
+        const reason = `No activity for ${Math.round(inactivityTimeoutMs / 60000)} minutes`;
+        let closed = 0;
+
+        for (;;) {
+            const conversations = await databaseService.findInactiveConversations(sweptStatuses, before, sweepBatchSize);
+
+            for (const conversation of conversations) {
+                try {
+                    await conversation.transition('closed', reason);
+                    closed++;
+                } catch (error) {
+                    // A message or a handoff changed the conversation since it was found
+                    if (!(error instanceof InvalidTransitionError)) throw error;
+                    logger.info(`Conversation ${conversation.id} not closed: ${error.message}`);
+                }
+            }
+
+            if (conversations.length < sweepBatchSize) {
+                break;
+            }
+        }
+
+        if (closed > 0) {
+            logger.info(`Closed ${closed} inactive conversation(s)`);
+        }
+        return closed;
+    }
+
+    /**
+     * Run a sweep unless the previous one is still running
+     * @returns {Promise<void>}
+     */
+    sweep() {
+        if (!this.sweeping) {
+            this.sweeping = this.closeInactive()
+                .catch((error) => logger.error('Error closing inactive conversations:', error))
+                .finally(() => {
+                    this.sweeping = null;
+                });
+        }
+        return this.sweeping;
+    }
+
+    /**
+     * Start sweeping every CONVERSATION_SWEEP_INTERVAL_MS, unless the inactivity timeout is disabled
+     */
+    start() {
+        if (this.timer || !conversationsConfig.inactivityTimeoutMs) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.sweep(), conversationsConfig.sweepIntervalMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop sweeping, waiting for a running sweep
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.sweeping;
+    }
+}
+
+module.exports = new LifecycleService();
@@ -1,9 +1,36 @@
-const { OpenAI } = require('openai');
+const { OpenAI, toFile } = require('openai');
 const dotenv = require('dotenv');
+const { v4: uuidv4 } = require('uuid');
+const databaseService = require('./database.js');
+const handoffService = require('./handoff.js');
+const mediaStorage = require('../storage/index.js');
+const ProviderRegistry = require('../providers/index.js');
+const openaiConfig = require('../config/openai.js');
 const logger = require('../utils/logger.js');
+const runEvents = require('../utils/runEvents.js');
+const { OpenAIError } = require('../utils/errors.js');
+const { extensionForMimeType } = require('../utils/media.js');
 
 dotenv.config();
 
+// Run statuses during which no message or run can be added to the thread
+const ACTIVE_RUN_STATUSES = ['queued', 'in_progress', 'requires_action', 'cancelling'];
+
+// Text up to the first blank line of a reply
+const FIRST_PARAGRAPH = /^\s*(\S[\s\S]*?)\s*\n[ \t]*\n/;
+
+// Image formats the assistant can look at
+const VISION_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Document formats file search can index
+const FILE_SEARCH_MIME_TYPES = [
+    'text/plain',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
 /**
  * Service for handling OpenAI integrations
  */
@@ -13,6 +40,7 @@ class OpenAIService {
             apiKey: process.env.OPENAI_API_KEY
         });
         this.assistantId = process.env.OPENAI_ASSISTANT_ID;
+        this.providers = new ProviderRegistry(this);
     }
 
     /**
@@ -33,18 +61,23 @@ class OpenAIService {
     /**
      * Create a message in a thread
      * @param {string} threadId - Thread ID
-     * @param {string} content - Message content
-     * @param {Array} fileIds - Optional array of file IDs to attach
+     * @param {string|Array} content - Message text, or content parts (text, image_file)
+     * @param {Array} attachments - Optional files for the assistant tools: { file_id, tools }
+     *   objects, or file IDs, which are attached for file search
      * @returns {Promise<Object>} Created message
      */
-    async createMessage(threadId, content, fileIds = []) {
+    async createMessage(threadId, content, attachments = []) {
         try {
             const message = await this.client.beta.threads.messages.create(
                 threadId,
                 {
                     role: 'user',
                     content: content,
-                    file_ids: fileIds
+                    attachments: attachments.length > 0
+                        ? attachments.map(attachment => typeof attachment === 'string'
+                            ? { file_id: attachment, tools: [{ type: 'file_search' }] }
+                            : attachment)
+                        : undefined
                 }
             );
             logger.info(`Created message in thread ${threadId}`);
@@ -68,6 +101,7 @@ class OpenAIService {
                 {
                     assistant_id: options.assistantId || this.assistantId,
                     instructions: options.instructions || undefined,
+                    additional_instructions: options.additionalInstructions || undefined,
                     model: options.model || undefined
                 }
             );
@@ -79,6 +113,41 @@ class OpenAIService {
         }
     }
 
+    /**
+     * Run the assistant on a thread, streaming the run's events
+     * @param {string} threadId - Thread ID
+     * @param {Object} options - Additional options for the run
+     * @returns {Object} Async iterable of run events (its abort() stops the stream)
+     */
+    streamRun(threadId, options = {}) {
+        logger.info(`Streaming run in thread ${threadId}`);
+        return this.client.beta.threads.runs.stream(
+            threadId,
+            {
+                assistant_id: options.assistantId || this.assistantId,
+                instructions: options.instructions || undefined,
+                additional_instructions: options.additionalInstructions || undefined,
+                model: options.model || undefined
+            }
+        );
+    }
+
+    /**
+     * Submit the outputs of the tool calls a run is waiting for, streaming the rest of the run
+     * @param {string} threadId - Thread ID
+     * @param {string} runId - Run ID
+     * @param {Array} toolOutputs - { tool_call_id, output } entries
+     * @returns {Object} Async iterable of run events
+     */
+    submitToolOutputsStream(threadId, runId, toolOutputs) {
+        logger.info(`Submitting ${toolOutputs.length} tool output(s) to run ${runId}`);
+        return this.client.beta.threads.runs.submitToolOutputsStream(
+            threadId,
+            runId,
+            { tool_outputs: toolOutputs }
+        );
+    }
+
     /**
      * Get the status of a run
      * @param {string} threadId - Thread ID
@@ -99,6 +168,28 @@ class OpenAIService {
         }
     }
 
+    /**
+     * Submit the outputs of the tool calls a run is waiting for
+     * @param {string} threadId - Thread ID
+     * @param {string} runId - Run ID
+     * @param {Array} toolOutputs - { tool_call_id, output } entries
+     * @returns {Promise<Object>} Updated run
+     */
+    async submitToolOutputs(threadId, runId, toolOutputs) {
+        try {
+            const run = await this.client.beta.threads.runs.submitToolOutputs(
+                threadId,
+                runId,
+                { tool_outputs: toolOutputs }
+            );
+            logger.info(`Submitted ${toolOutputs.length} tool output(s) to run ${runId}`);
+            return run;
+        } catch (error) {
+            logger.error(`Error submitting tool outputs to run ${runId}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Wait for a run to complete
      * @param {string} threadId - Thread ID
@@ -169,6 +260,22 @@ class OpenAIService {
         }
     }
 
+    /**
+     * Extract the plain text of an assistant message
+     * @param {Object} message - Thread message
+     * @returns {string} Concatenated text parts, empty if there are none
+     */
+    extractText(message) {
+        if (!message || !message.content) {
+            return '';
+        }
+
+        return message.content
+            .filter(contentPart => contentPart.type === 'text')
+            .map(contentPart => contentPart.text.value)
+            .join('');
+    }
+
     /**
      * Upload a file to OpenAI
      * @param {Buffer|string} file - File buffer or path
@@ -190,42 +297,168 @@ class OpenAIService {
     }
 
     /**
-     * Process a conversation with OpenAI assistant
-     * @param {string} message - User message
-     * @param {Object} conversation - Conversation object with config
-     * @returns {Promise<Object>} Response from assistant
+     * Upload the stored media of a message, unless it was uploaded before
+     * @param {Object} message - Message with stored media
+     * @param {string} purpose - File purpose ('vision' for images, 'assistants' for documents)
+     * @returns {Promise<string>} OpenAI file ID
      */
-    async processConversation(message, conversation) {
-        try {
-            const config = conversation.config || {};
-            let threadId = config.thread_id;
+    async uploadMessageFile(message, purpose) {
+        if (message.openai_file_id) {
+            return message.openai_file_id;
+        }
 
-            // Create thread if it doesn't exist
-            if (!threadId) {
-                const thread = await this.createThread();
-                threadId = thread.id;
+        const { media } = message;
+        const stored = await mediaStorage.get(media.key);
+        if (!stored) {
+            throw new Error(`Stored media of message ${message.id} is missing`);
+        }
+
+        const filename = media.filename || `${media.media_id}${extensionForMimeType(media.mime_type) || ''}`;
+        const uploadedFile = await this.uploadFile(
+            await toFile(stored.stream, filename, { type: media.mime_type }),
+            purpose
+        );
+
+        await databaseService.setMessageOpenAIFile(message.id, uploadedFile.id);
+        message.openai_file_id = uploadedFile.id;
+        return uploadedFile.id;
+    }
 
-                // Update conversation config with thread ID
-                config.thread_id = threadId;
-                await conversation.updateConfig({ thread_id: threadId });
+    /**
+     * Build the assistant input for inbound WhatsApp messages. Texts are joined, images are
+     * added as image content parts and documents attached for file search. Media the
+     * assistant can't read is mentioned in the text instead
+     * @param {Array} messages - Inbound messages, oldest first
+     * @param {Object} options - Options
+     * @param {boolean} options.files - Upload images and documents (false for providers that don't accept files)
+     * @returns {Promise<Object>} Input for processConversation: { content, parts, attachments }
+     */
+    async buildUserInput(messages, options = {}) {
+        const uploads = options.files !== false;
+        const lines = [];
+        const parts = [];
+        const attachments = [];
+
+        for (const message of messages) {
+            const media = message.media && message.media.key ? message.media : null;
+
+            if (media && message.type === 'image' && !uploads) {
+                lines.push('[Image]');
+            } else if (media && message.type === 'image' && VISION_MIME_TYPES.includes(media.mime_type)) {
+                try {
+                    const fileId = await this.uploadMessageFile(message, 'vision');
+                    parts.push({ type: 'image_file', image_file: { file_id: fileId } });
+                } catch (error) {
+                    logger.warn(`Could not send image of message ${message.id} to the assistant: ${error.message}`);
+                    lines.push('[Image]');
+                }
+            } else if (media && message.type === 'document') {
+                // The name tells the assistant which attachment the user is talking about
+                lines.push(`[Document: ${media.filename || 'untitled'}]`);
+                if (uploads && FILE_SEARCH_MIME_TYPES.includes(media.mime_type)) {
+                    try {
+                        const fileId = await this.uploadMessageFile(message, 'assistants');
+                        attachments.push({ file_id: fileId, tools: [{ type: 'file_search' }] });
+                    } catch (error) {
+                        logger.warn(`Could not send document of message ${message.id} to the assistant: ${error.message}`);
+                    }
+                }
             }
 
-            // Add message to thread
-            await this.createMessage(threadId, message);
+            if (message.text) {
+                lines.push(message.text);
+            }
+        }
 
-            // Run assistant
-            const run = await this.runAssistant(threadId, {
-                assistantId: config.assistant_openai_id || this.assistantId
-            });
+        return { content: lines.join('\n'), parts, attachments };
+    }
 
-            // Update conversation config with run ID
-            await conversation.updateConfig({ run_id: run.id });
+    /**
+     * Get the run that is still active on a thread, if any
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Object|null>} Active run or null
+     */
+    async getActiveRun(threadId) {
+        try {
+            const runs = await this.client.beta.threads.runs.list(threadId, { limit: 1 });
+            const run = runs.data[0];
+            return run && ACTIVE_RUN_STATUSES.includes(run.status) ? run : null;
+        } catch (error) {
+            logger.error(`Error getting active run of thread ${threadId}:`, error);
+            throw error;
+        }
+    }
 
-            // Wait for run to complete
-            await this.waitForRun(threadId, run.id);
+    /**
+     * Cancel a run
+     * @param {string} threadId - Thread ID
+     * @param {string} runId - Run ID
+     * @returns {Promise<Object>} Cancelled run
+     */
+    async cancelRun(threadId, runId) {
+        try {
+            const run = await this.client.beta.threads.runs.cancel(threadId, runId);
+            logger.info(`Cancelling run ${runId} in thread ${threadId}`);
+            return run;
+        } catch (error) {
+            logger.error(`Error cancelling run ${runId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pick the LLM provider answering a conversation
+     * @param {Object} conversation - Conversation object with config
+     * @param {string} [phoneNumberId] - Business phone number ID the conversation is on
+     * @returns {Object} The provider
+     */
+    resolveProvider(conversation, phoneNumberId) {
+        return this.providers.resolve(conversation, phoneNumberId);
+    }
+
+    /**
+     * Answer a conversation with its LLM provider. Only one response is generated at a time per
+     * conversation: input arriving while another process holds the run lock is queued and answered
+     * by the lock holder, either with one more response ('append') or by dropping the response in
+     * progress and answering everything at once ('restart')
+     * @param {string|Object} message - User message text, or input built by buildUserInput
+     * @param {Object} conversation - Conversation object with config
+     * @param {Object} options - Options
+     * @param {string} options.phoneNumberId - Business phone number ID, used to pick the provider
+     * @param {Function} options.onResponse - Called with replies produced before the final one
+     *   (when queued input makes the lock holder answer again)
+     * @param {Function} options.onPartial - Called with the first paragraph of a streamed reply, to send
+     *   it before the rest is generated. The reply's text is then what remains (see earlyParagraph)
+     * @returns {Promise<Object|null>} Reply ({ id, text, provider, model, usage, early_text }), or null if the input was queued
+     */
+    async processConversation(message, conversation, options = {}) {
+        try {
+            const provider = this.resolveProvider(conversation, options.phoneNumberId);
+
+            const owner = uuidv4();
+            const acquired = await databaseService.acquireConversationLock(conversation.id, owner, openaiConfig.runLockTtl);
+            if (!acquired) {
+                await this.queueInput(message, conversation, provider);
+                return null;
+            }
+
+            let response;
+            try {
+                response = await this.runConversation(provider, message, conversation, owner, options);
+            } finally {
+                await databaseService.releaseConversationLock(conversation.id, owner);
+            }
 
-            // Get the last assistant message
-            const response = await this.getLastAssistantMessage(threadId);
+            // Input queued between our last check and the release would otherwise be left behind
+            const leftover = await databaseService.takePendingRunInputs(conversation.id);
+            if (leftover.length > 0) {
+                if (response && options.onResponse) {
+                    await options.onResponse(response);
+                    response = null;
+                }
+                const nextResponse = await this.processConversation(joinInputs(leftover), conversation, options);
+                return nextResponse || response;
+            }
 
             return response;
         } catch (error) {
@@ -233,6 +466,162 @@ class OpenAIService {
             throw error;
         }
     }
+
+    /**
+     * Queue input for the response that another process is generating on the conversation
+     * @param {string|Object} message - User message text, or input built by buildUserInput
+     * @param {Object} conversation - Conversation object with config
+     * @param {Object} provider - Provider of the conversation
+     * @returns {Promise<void>}
+     */
+    async queueInput(message, conversation, provider) {
+        await databaseService.queuePendingRunInput(conversation.id, toInput(message));
+
+        const strategy = busyStrategy(conversation);
+        logger.info(`Response in progress on conversation ${conversation.id}, input queued (${strategy})`);
+
+        if (strategy !== 'restart' || !provider.cancel) {
+            return;
+        }
+
+        // The lock holder notices the cancellation and answers again with the queued input
+        const latest = await databaseService.findConversationById(conversation.id);
+        await provider.cancel(latest || conversation);
+    }
+
+    /**
+     * Answer a conversation while holding its run lock, then keep answering
+     * as long as input was queued during the previous response
+     * @param {Object} provider - Provider of the conversation
+     * @param {string|Object} message - User message text, or input built by buildUserInput
+     * @param {Object} conversation - Conversation object with config
+     * @param {string} owner - Lock token
+     * @param {Object} options - Options (onResponse)
+     * @returns {Promise<Object|null>} Last reply
+     */
+    async runConversation(provider, message, conversation, owner, options) {
+        const strategy = busyStrategy(conversation);
+        const config = conversation.config || {};
+        const sendEarly = (config.reply_mode || openaiConfig.replyMode) === 'paragraph' ? options.onPartial : null;
+
+        let input = toInput(message);
+        let response = null;
+
+        while (input) {
+            const early = earlyParagraph(sendEarly);
+            const context = {
+                refreshLock: () => databaseService.refreshConversationLock(conversation.id, owner, openaiConfig.runLockTtl),
+                onDelta: (text) => {
+                    runEvents.publish(conversation.id, 'delta', { provider: provider.name, text });
+                    early.push(text);
+                },
+                onEvent: (type, data) => runEvents.publish(conversation.id, type, { provider: provider.name, ...data })
+            };
+
+            const reply = await early.finish(await provider.respond(conversation, input, context));
+            if (reply) {
+                runEvents.publish(conversation.id, 'reply', reply);
+            }
+
+            const pending = await databaseService.takePendingRunInputs(conversation.id);
+            input = pending.length > 0 ? joinInputs(pending) : null;
+
+            if (!reply && !input) {
+                throw new OpenAIError(`Response of ${provider.name} for conversation ${conversation.id} was cancelled`);
+            }
+
+            // Input queued after a handoff (e.g. by the assistant's own tool call) is left to the agent
+            if (input && handoffService.isTaken(await databaseService.findConversationById(conversation.id))) {
+                logger.info(`Queued input of conversation ${conversation.id} left unanswered: the conversation was taken`);
+                input = null;
+            }
+
+            // When restarting, a reply overtaken by new input is dropped and everything is answered at once
+            response = input && strategy === 'restart' ? null : reply;
+
+            if (input) {
+                if (response && options.onResponse) {
+                    await options.onResponse(response);
+                }
+                await context.refreshLock();
+            }
+        }
+
+        return response;
+    }
 }
 
+/**
+ * Busy strategy of a conversation
+ * @param {Object} conversation - Conversation object with config
+ * @returns {string} 'append' or 'restart'
+ */
+const busyStrategy = (conversation) => (conversation.config || {}).busy_strategy || openaiConfig.busyStrategy;
+
+/**
+ * Normalise user input to the shape queued inputs are stored in
+ * @param {string|Object} input - Message text, or { content, parts, attachments }
+ * @returns {Object} { content, parts, attachments }
+ */
+const toInput = (input) => (typeof input === 'string'
+    ? { content: input, parts: [], attachments: [] }
+    : { content: input.content || '', parts: input.parts || [], attachments: input.attachments || [] });
+
+/**
+ * Watch the text of a streamed reply and hand its first complete paragraph (followed by a blank
+ * line) to send while the rest is generated. The final reply then only carries the remaining text,
+ * and early_text the paragraph already sent
+ * @param {Function|null} send - Sends the paragraph, null to keep single-message replies
+ * @returns {Object} { push(text), finish(reply) }
+ */
+const earlyParagraph = (send) => {
+    let buffer = '';
+    let paragraph = null;
+    let sending = null;
+
+    return {
+        push(text) {
+            if (!send || sending) return;
+
+            buffer += text;
+            const match = buffer.match(FIRST_PARAGRAPH);
+            if (match) {
+                paragraph = match[1];
+                sending = Promise.resolve()
+                    .then(() => send(paragraph))
+                    .catch((error) => {
+                        // The paragraph goes out with the rest of the reply instead
+                        logger.warn(`Could not send the first paragraph early: ${error.message}`);
+                        paragraph = null;
+                    });
+            }
+        },
+
+        async finish(reply) {
+            await sending;
+            if (!reply || paragraph === null) {
+                return reply;
+            }
+
+            const index = reply.text.indexOf(paragraph);
+            return {
+                ...reply,
+                text: index >= 0 ? reply.text.slice(index + paragraph.length).trim() : reply.text,
+                early_text: paragraph
+            };
+        }
+    };
+};
+
+/**
+ * Merge queued user inputs into one thread message
+ * @param {Array} inputs - Queued inputs, oldest first
+ * @returns {Object} Combined input
+ */
+const joinInputs = (inputs) => ({
+    content: inputs.map(input => input.content).filter(Boolean).join('\n'),
+    parts: inputs.flatMap(input => input.parts),
+    attachments: inputs.flatMap(input => input.attachments)
+});
+
 module.exports = new OpenAIService();
@@ -0,0 +1,313 @@
+const databaseService = require('./database.js');
+const { ApiError } = require('../utils/errors.js');
+
+const PLACEHOLDER_PATTERN = /\{\{(\d+)\}\}/g;
+const MEDIA_HEADER_FORMATS = ['image', 'video', 'document'];
+const BODY_TEXT_LIMIT = 1024;
+const COUPON_CODE_LIMIT = 15;
+
+/**
+ * Service for the local registry of approved message templates: checks the parameters
+ * of a send against the template definition, builds the Graph API components and
+ * renders the text that is stored on the outbound message
+ */
+class TemplateService {
+    /**
+     * Register a template, replacing any definition with the same name and language
+     * @param {Object} definition - Template definition (name, language, category, header, body, footer, buttons)
+     * @returns {Promise<Object>} Saved template
+     * @throws {ApiError} 400 if the placeholders of a component are not numbered {{1}}..{{n}}
+     */
+    async register(definition) {
+        const texts = {
+            header: definition.header && definition.header.format === 'text' ? definition.header.text : null,
+            body: definition.body.text
+        };
+        (definition.buttons || []).forEach((button, index) => {
+            texts[`buttons[${index}]`] = button.type === 'url' ? button.url : null;
+        });
+
+        Object.entries(texts).forEach(([component, text]) => {
+            const numbers = placeholderNumbers(text);
+            if (numbers.some((number, index) => number !== index + 1)) {
+                throw new ApiError(400, `Placeholders of ${component} must be numbered {{1}} to {{${numbers.length}}}`);
+            }
+        });
+
+        const buttons = definition.buttons || [];
+        if (buttons.filter((button) => button.type === 'url' && placeholderNumbers(button.url).length > 1).length > 0) {
+            throw new ApiError(400, 'URL buttons accept a single {{1}} placeholder');
+        }
+
+        return databaseService.saveMessageTemplate(definition);
+    }
+
+    /**
+     * Find a registered template
+     * @param {string} name - Template name
+     * @param {string} language - Language code
+     * @returns {Promise<Object>} The template
+     * @throws {ApiError} 404 if the template is not registered
+     */
+    async get(name, language) {
+        const template = await databaseService.findMessageTemplate(name, language);
+        if (!template) {
+            throw new ApiError(404, `Template ${name} (${language}) is not registered`);
+        }
+        return template;
+    }
+
+    /**
+     * Describe the parameters a template expects
+     * @param {Object} template - Registered template
+     * @returns {Object} Parameter schema: { header, body, buttons }
+     */
+    describeParameters(template) {
+        let header = null;
+        if (template.header && template.header.format === 'text') {
+            const count = placeholderNumbers(template.header.text).length;
+            header = count > 0 ? { type: 'text', count } : null;
+        } else if (template.header) {
+            header = { type: template.header.format };
+        }
+
+        const buttons = (template.buttons || []).map((button, index) => ({
+            index,
+            type: button.type,
+            required: button.type === 'copy_code'
+                || (button.type === 'url' && placeholderNumbers(button.url).length > 0)
+        })).filter((button) => button.type !== 'phone_number');
+
+        return {
+            header,
+            body: { count: placeholderNumbers(template.body.text).length },
+            buttons
+        };
+    }
+
+    /**
+     * Check send parameters against the template definition
+     * @param {Object} template - Registered template
+     * @param {Object} parameters - Send parameters ({ header, body, buttons })
+     * @throws {ApiError} 400 listing every problem found
+     */
+    validateParameters(template, parameters = {}) {
+        const schema = this.describeParameters(template);
+        const errors = [];
+
+        // Header: positional texts, or a media link
+        if (!schema.header) {
+            if (parameters.header !== undefined) {
+                errors.push('header takes no parameters');
+            }
+        } else if (schema.header.type === 'text') {
+            errors.push(...checkTexts('header', parameters.header, schema.header.count));
+        } else {
+            const media = parameters.header;
+            if (!media || typeof media !== 'object' || Array.isArray(media) || !isHttpUrl(media.link)) {
+                errors.push(`header requires an ${schema.header.type} { link } with an http(s) URL`);
+            }
+        }
+
+        // Body: positional texts
+        errors.push(...checkTexts('body', parameters.body, schema.body.count));
+        if (errors.length === 0 && this.renderBody(template, parameters).length > BODY_TEXT_LIMIT) {
+            errors.push(`rendered body exceeds ${BODY_TEXT_LIMIT} characters`);
+        }
+
+        // Buttons: one value per button index, null for buttons without parameters
+        const values = parameters.buttons || [];
+        if (!Array.isArray(values)) {
+            errors.push('buttons must be an array indexed like the template buttons');
+        } else {
+            if (values.length > (template.buttons || []).length) {
+                errors.push(`template has ${(template.buttons || []).length} buttons`);
+            }
+            schema.buttons.forEach((button) => {
+                const value = values[button.index];
+                if (value === undefined || value === null) {
+                    if (button.required) {
+                        errors.push(`buttons[${button.index}] (${button.type}) requires a value`);
+                    }
+                    return;
+                }
+                if (typeof value !== 'string' || value.trim() === '') {
+                    errors.push(`buttons[${button.index}] must be a non-empty string`);
+                } else if (button.type === 'url' && !button.required) {
+                    errors.push(`buttons[${button.index}] has a static URL and takes no parameter`);
+                } else if (button.type === 'copy_code' && value.length > COUPON_CODE_LIMIT) {
+                    errors.push(`buttons[${button.index}] code exceeds ${COUPON_CODE_LIMIT} characters`);
+                }
+            });
+        }
+
+        if (errors.length > 0) {
+            throw new ApiError(400, `Invalid parameters for template ${template.name} (${template.language}): ${errors.join(', ')}`);
+        }
+    }
+
+    /**
+     * Build the Graph API components of a template send
+     * @param {Object} template - Registered template
+     * @param {Object} parameters - Validated send parameters
+     * @returns {Array<Object>} Components for the template object of the message payload
+     */
+    buildComponents(template, parameters = {}) {
+        const components = [];
+
+        if (template.header && template.header.format === 'text' && parameters.header) {
+            components.push({
+                type: 'header',
+                parameters: parameters.header.map((text) => ({ type: 'text', text }))
+            });
+        } else if (template.header && MEDIA_HEADER_FORMATS.includes(template.header.format)) {
+            const format = template.header.format;
+            const media = { link: parameters.header.link };
+            if (format === 'document' && parameters.header.filename) {
+                media.filename = parameters.header.filename;
+            }
+            components.push({
+                type: 'header',
+                parameters: [{ type: format, [format]: media }]
+            });
+        }
+
+        if (parameters.body && parameters.body.length > 0) {
+            components.push({
+                type: 'body',
+                parameters: parameters.body.map((text) => ({ type: 'text', text }))
+            });
+        }
+
+        (parameters.buttons || []).forEach((value, index) => {
+            if (value === undefined || value === null) return;
+
+            const button = template.buttons[index];
+            let parameter;
+            if (button.type === 'url') {
+                parameter = { type: 'text', text: value };
+            } else if (button.type === 'copy_code') {
+                parameter = { type: 'coupon_code', coupon_code: value };
+            } else {
+                parameter = { type: 'payload', payload: value };
+            }
+
+            components.push({
+                type: 'button',
+                sub_type: button.type,
+                index: String(index),
+                parameters: [parameter]
+            });
+        });
+
+        return components;
+    }
+
+    /**
+     * Render the body of a template with its parameters
+     * @param {Object} template - Registered template
+     * @param {Object} parameters - Send parameters
+     * @returns {string} Rendered body text
+     */
+    renderBody(template, parameters = {}) {
+        return fill(template.body.text, parameters.body);
+    }
+
+    /**
+     * Render a template as plain text, as the user will read it
+     * @param {Object} template - Registered template
+     * @param {Object} parameters - Validated send parameters
+     * @returns {string} Header, body, footer and button labels
+     */
+    render(template, parameters = {}) {
+        const parts = [];
+
+        if (template.header && template.header.format === 'text') {
+            parts.push(fill(template.header.text, parameters.header));
+        }
+        parts.push(this.renderBody(template, parameters));
+        if (template.footer) {
+            parts.push(template.footer);
+        }
+
+        const labels = (template.buttons || []).map((button) => `[${button.text}]`);
+        if (labels.length > 0) {
+            parts.push(labels.join(' '));
+        }
+
+        return parts.join('\n\n');
+    }
+}
+
+/**
+ * Placeholder numbers of a template text, in order of appearance and without repeats
+ * @param {string|null} text - Template text
+ * @returns {Array<number>} Sorted placeholder numbers
+ */
+function placeholderNumbers(text) {
+    if (!text) return [];
+
+    const numbers = new Set();
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        numbers.add(Number(match[1]));
+    }
+    return [...numbers].sort((a, b) => a - b);
+}
+
+/**
+ * Replace {{n}} placeholders with the n-th value
+ * @param {string} text - Template text
+ * @param {Array<string>} [values] - Positional values
+ * @returns {string} Filled text
+ */
+function fill(text, values = []) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, number) => {
+        const value = values[Number(number) - 1];
+        return value === undefined ? placeholder : value;
+    });
+}
+
+/**
+ * Check positional text parameters. WhatsApp rejects parameters containing new lines,
+ * tabs or more than four consecutive spaces
+ * @param {string} component - Component name, used in messages
+ * @param {*} values - Received values
+ * @param {number} count - Expected number of values
+ * @returns {Array<string>} Problems found
+ */
+function checkTexts(component, values, count) {
+    if (count === 0) {
+        return values === undefined || (Array.isArray(values) && values.length === 0)
+            ? []
+            : [`${component} takes no parameters`];
+    }
+    if (!Array.isArray(values) || values.length !== count) {
+        return [`${component} requires ${count} parameters`];
+    }
+
+    const errors = [];
+    values.forEach((value, index) => {
+        if (typeof value !== 'string' || value.trim() === '') {
+            errors.push(`${component}[${index}] must be a non-empty string`);
+        } else if (/[\n\t]| {5,}/.test(value)) {
+            errors.push(`${component}[${index}] cannot contain new lines, tabs or more than 4 consecutive spaces`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Check that a value is an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} True for http and https URLs
+ */
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = new TemplateService();
@@ -1,7 +1,20 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const dotenv = require('dotenv');
 const databaseService = require('./database.js');
+const templateService = require('./templates.js');
+const consentService = require('./consent.js');
+const mediaStorage = require('../storage/index.js');
+const transcriber = require('../transcription/index.js');
+const jobQueue = require('../queue/index.js');
+const whatsappConfig = require('../config/whatsapp.js');
+const outboundConfig = require('../config/outbound.js');
+const transcriptionConfig = require('../config/transcription.js');
+const consentConfig = require('../config/consent.js');
+const RateLimiter = require('../utils/rateLimiter.js');
+const { detectMimeType, assertMediaLimits, mimeTypeFromName } = require('../utils/media.js');
 const logger = require('../utils/logger.js');
+const { ApiError, DuplicateMessageError, WhatsAppError } = require('../utils/errors.js');
 
 dotenv.config();
 
@@ -13,12 +26,39 @@ class WhatsAppService {
         this.apiUrl = process.env.WHATSAPP_API_URL;
         this.apiVersion = process.env.WHATSAPP_API_VERSION || 'v18.0';
         this.accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
+        this.inboundMessageHandlers = [];
+        this.outboundLimiter = new RateLimiter(outboundConfig.rateLimit, outboundConfig.rateInterval);
     }
 
     /**
-     * Process incoming webhook data
+     * Register a handler called for every newly stored inbound message
+     * @param {Function} handler - Async function receiving (conversation, message)
+     */
+    onInboundMessage(handler) {
+        this.inboundMessageHandlers.push(handler);
+    }
+
+    /**
+     * Run the inbound message handlers. Handler errors are logged and never fail ingestion
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Stored message
+     * @returns {Promise<void>}
+     */
+    async notifyInboundMessage(conversation, message) {
+        for (const handler of this.inboundMessageHandlers) {
+            try {
+                await handler(conversation, message);
+            } catch (error) {
+                logger.error(`Inbound message handler failed for message ${message.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Process incoming webhook data. Every entry, change, message and status is handled in
+     * order, and a failure on one of them is recorded without aborting the rest of the batch
      * @param {Object} webhookData - Webhook data from WhatsApp
-     * @returns {Promise<Object>} Response data
+     * @returns {Promise<Object>} Response data with one outcome per message and status
      */
     async processWebhook(webhookData) {
         try {
@@ -27,15 +67,22 @@ class WhatsAppService {
                 return { success: false, error: 'Invalid webhook data' };
             }
 
+            const outcomes = [];
+
             for (const entry of webhookData.entry) {
-                for (const change of entry.changes) {
-                    if (change.field === 'messages') {
-                        await this.handleMessageEvent(change.value);
+                for (const change of entry.changes || []) {
+                    if (change.field === 'messages' && change.value) {
+                        if (change.value.messages) {
+                            outcomes.push(...await this.handleMessageEvent(change.value));
+                        }
+                        if (change.value.statuses) {
+                            outcomes.push(...await this.handleStatusEvent(change.value));
+                        }
                     }
                 }
             }
 
-            return { success: true };
+            return { success: true, outcomes };
         } catch (error) {
             logger.error('Error processing webhook:', error);
             throw error;
@@ -45,48 +92,250 @@ class WhatsAppService {
     /**
      * Handle message events from webhook
      * @param {Object} messageEvent - Message event data
-     * @returns {Promise<void>}
+     * @returns {Promise<Array>} One outcome per message in the event
      */
     async handleMessageEvent(messageEvent) {
-        try {
-            if (!messageEvent || !messageEvent.messages || messageEvent.messages.length === 0) {
-                logger.warn('No messages in the event');
-                return;
+        if (!messageEvent || !messageEvent.messages || messageEvent.messages.length === 0) {
+            logger.warn('No messages in the event');
+            return [];
+        }
+
+        const metadata = messageEvent.metadata;
+        const businessPhoneNumberId = metadata ? metadata.phone_number_id : null;
+        const contacts = messageEvent.contacts || [];
+        const outcomes = [];
+
+        for (const message of messageEvent.messages) {
+            const outcome = { kind: 'message', waMessageId: message.id, from: message.from, type: message.type };
+
+            try {
+                // Meta retries deliveries: a message we already stored is acknowledged without side effects
+                const existing = await databaseService.findMessageByWaId(message.id);
+                if (existing) {
+                    outcome.conversationId = existing.conversation_id;
+                    outcome.result = 'duplicate';
+                    outcome.messageId = existing.id;
+
+                    // Except a consent keyword whose change failed to be recorded the first time
+                    if (consentService.matchKeyword(existing.text)) {
+                        const conversation = await databaseService.findConversationById(existing.conversation_id);
+                        if (conversation && await this.handleConsentKeyword(conversation, existing)) {
+                            outcome.consent = consentService.matchKeyword(existing.text);
+                        }
+                    }
+
+                    outcomes.push(outcome);
+                    continue;
+                }
+
+                const contact = await this.recordContact(message, contacts);
+                const conversation = await this.findOrCreateConversation(message.from, contact);
+
+                // Keep only this message and its sender in the stored webhook data
+                const rawData = {
+                    ...messageEvent,
+                    contacts: contacts.filter(contact => contact.wa_id === message.from),
+                    messages: [message]
+                };
+
+                const storedMessage = await this.processMessage(conversation, message, businessPhoneNumberId, rawData);
+
+                outcome.conversationId = conversation.id;
+                outcome.result = storedMessage ? 'stored' : 'unsupported';
+                outcome.messageId = storedMessage ? storedMessage.id : null;
+
+                if (storedMessage) {
+                    // The user is writing: a new conversation, or one waiting for them, becomes active.
+                    // The message is already stored and a retry would skip it as a duplicate, so a
+                    // status changed meanwhile (closed by the sweeper, taken by an agent) is only logged
+                    if (['new', 'pending'].includes(conversation.status)) {
+                        try {
+                            await conversation.transition('active', 'Inbound message');
+                        } catch (error) {
+                            logger.warn(`Could not move conversation ${conversation.id} to active: ${error.message}`);
+                        }
+                    }
+
+                    // STOP, START and the like change the user's consent and are not answered otherwise
+                    if (await this.handleConsentKeyword(conversation, storedMessage)) {
+                        outcome.consent = consentService.matchKeyword(storedMessage.text);
+                    } else {
+                        await this.notifyInboundMessage(conversation, storedMessage);
+                    }
+                }
+            } catch (error) {
+                if (error instanceof DuplicateMessageError) {
+                    // A concurrent delivery of the same message won the insert
+                    outcome.result = 'duplicate';
+                } else {
+                    logger.error(`Error handling message ${message.id} from ${message.from}:`, error);
+                    outcome.result = 'failed';
+                    outcome.error = error.message;
+                }
             }
 
-            const message = messageEvent.messages[0];
-            const metadata = messageEvent.metadata;
-            const waId = message.from;
-            const businessPhoneNumberId = metadata ? metadata.phone_number_id : null;
-
-            // Find or create conversation
-            let conversation = await databaseService.findConversationByWaId(waId);
-            if (!conversation) {
-                conversation = await databaseService.createConversation({
-                    wa_id: waId,
-                    type: 'user_initiated',
-                    status: 'new'
+            outcomes.push(outcome);
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * Record the consent change of an inbound message that is an opt-out or opt-in keyword,
+     * for every category of the business number it was sent to, and confirm it to the user.
+     * Safe to call again for the same message: a change already recorded is not confirmed twice
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Stored inbound message
+     * @returns {Promise<boolean>} True if the message was a consent keyword
+     */
+    async handleConsentKeyword(conversation, message) {
+        const status = consentService.matchKeyword(message.text);
+        if (!status || !message.business_phone_number_id) {
+            return false;
+        }
+
+        const consents = await consentService.recordKeyword(conversation.wa_id, message, status);
+        if (consents.length === 0) {
+            return true;
+        }
+
+        const reply = status === 'opted_out' ? consentConfig.optOutReply : consentConfig.optInReply;
+        if (reply) {
+            try {
+                // The user must hear that they opted out, which the opt-out itself would refuse
+                await this.sendTextMessage(conversation.wa_id, reply, message.business_phone_number_id, conversation.id, {
+                    consentExempt: true
                 });
+            } catch (error) {
+                logger.warn(`Could not confirm the consent change of ${conversation.wa_id}: ${error.message}`);
             }
+        }
 
-            // Process message based on type
-            if (message.type === 'text') {
-                await this.processTextMessage(conversation, message, businessPhoneNumberId, messageEvent);
-            } else if (message.type === 'image' || message.type === 'document' ||
-                message.type === 'audio' || message.type === 'video') {
-                await this.processMediaMessage(conversation, message, businessPhoneNumberId, messageEvent);
-            } else if (message.type === 'location') {
-                await this.processLocationMessage(conversation, message, businessPhoneNumberId, messageEvent);
-            } else if (message.type === 'contacts') {
-                await this.processContactMessage(conversation, message, businessPhoneNumberId, messageEvent);
-            } else {
-                logger.info(`Unsupported message type: ${message.type}`);
-            }
+        return true;
+    }
+
+    /**
+     * Update the contact of the sender of an inbound message with the profile sent along
+     * @param {Object} message - Message data
+     * @param {Array} contacts - Contacts of the webhook event
+     * @returns {Promise<Object|null>} The contact, or null if it could not be recorded
+     */
+    async recordContact(message, contacts) {
+        const profile = (contacts.find(contact => contact.wa_id === message.from) || {}).profile || {};
+        const seenAt = message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date();
 
+        try {
+            return await databaseService.recordContactSeen(message.from, profile.name || null, seenAt);
         } catch (error) {
-            logger.error('Error handling message event:', error);
-            throw error;
+            // The message itself matters more than the profile
+            logger.warn(`Could not record contact ${message.from}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Find the open conversation of a WhatsApp user, creating one if needed. Once a
+     * conversation is closed, the user's next message starts a new one (and a new
+     * assistant thread). New conversations are linked to the user and patient of the contact,
+     * or of the user's previous conversation when the contact could not be recorded
+     * @param {string} waId - WhatsApp ID of the user
+     * @param {Object|null} contact - Contact of the user
+     * @returns {Promise<Object>} Conversation object
+     */
+    async findOrCreateConversation(waId, contact = null) {
+        const conversation = await databaseService.findOpenConversationByWaId(waId);
+        if (conversation) {
+            return conversation;
         }
+
+        const linked = contact || await databaseService.findConversationByWaId(waId);
+        return databaseService.createConversation({
+            wa_id: waId,
+            user_id: linked ? linked.user_id : null,
+            patient_id: linked ? linked.patient_id : null,
+            type: 'user_initiated',
+            status: 'new'
+        });
+    }
+
+    /**
+     * Store a single inbound message according to its type
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Message data
+     * @param {string} businessPhoneNumberId - Business phone number ID
+     * @param {Object} rawData - Raw webhook data
+     * @returns {Promise<Object|null>} Created message, or null for unsupported types
+     */
+    async processMessage(conversation, message, businessPhoneNumberId, rawData) {
+        if (message.type === 'text') {
+            return this.processTextMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'image' || message.type === 'document' ||
+            message.type === 'audio' || message.type === 'video' || message.type === 'sticker') {
+            return this.processMediaMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'location') {
+            return this.processLocationMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'contacts') {
+            return this.processContactMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'interactive') {
+            return this.processInteractiveMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'button') {
+            return this.processButtonMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'reaction') {
+            return this.processReactionMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'order') {
+            return this.processOrderMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'system') {
+            return this.processSystemMessage(conversation, message, businessPhoneNumberId, rawData);
+        } else if (message.type === 'unsupported' || message.type === 'unknown') {
+            return this.processUnsupportedMessage(conversation, message, businessPhoneNumberId, rawData);
+        }
+
+        logger.info(`Unsupported message type: ${message.type}`);
+        return null;
+    }
+
+    /**
+     * Handle delivery status events (sent, delivered, read, failed) from webhook
+     * @param {Object} statusEvent - Status event data
+     * @returns {Promise<Array>} One outcome per status in the event
+     */
+    async handleStatusEvent(statusEvent) {
+        const outcomes = [];
+
+        for (const status of statusEvent.statuses) {
+            const outcome = { kind: 'status', waMessageId: status.id, status: status.status };
+
+            try {
+                const message = await databaseService.recordMessageStatusEvent(status.id, {
+                    status: status.status,
+                    timestamp: new Date(parseInt(status.timestamp) * 1000).toISOString(),
+                    errors: status.errors || null
+                });
+
+                if (!message) {
+                    logger.warn(`Status ${status.status} received for unknown message ${status.id}`);
+                    outcome.result = 'unknown_message';
+                } else {
+                    outcome.result = 'recorded';
+                    outcome.messageId = message.id;
+                }
+
+                if (status.status === 'failed') {
+                    const reasons = (status.errors || [])
+                        .map(error => `${error.code} ${error.title}`)
+                        .join(', ');
+                    logger.warn(`Message ${status.id} failed to deliver: ${reasons}`);
+                }
+            } catch (error) {
+                logger.error(`Error handling status ${status.status} for message ${status.id}:`, error);
+                outcome.result = 'failed';
+                outcome.error = error.message;
+            }
+
+            outcomes.push(outcome);
+        }
+
+        return outcomes;
     }
 
     /**
@@ -126,16 +375,13 @@ class WhatsAppService {
      */
     async processMediaMessage(conversation, message, businessPhoneNumberId, rawData) {
         try {
-            // Get media URL and info
-            const mediaInfo = await this.getMediaInfo(message[message.type]);
-            const mediaData = {
-                url: mediaInfo.url,
-                mime_type: mediaInfo.mime_type,
-                filename: mediaInfo.filename || null,
-                // Store additional properties if needed
-                sha256: mediaInfo.sha256 || null,
-                filesize: mediaInfo.filesize || null
-            };
+            // Graph media URLs expire within minutes, so keep our own copy
+            const { media, data } = await this.storeInboundMedia(conversation, message[message.type]);
+
+            // Voice notes are answered from their transcript, other media keep their caption as text
+            const transcription = message.type === 'audio'
+                ? await this.transcribeAudio(data, media.mime_type, message.id)
+                : null;
 
             return await databaseService.createMessage({
                 conversation_id: conversation.id,
@@ -145,7 +391,9 @@ class WhatsAppService {
                 replying_to_mesage_id: message.context?.id || null,
                 business_phone_number_id: businessPhoneNumberId,
                 whatsapp_webhook_data: JSON.stringify(rawData),
-                media: mediaData,
+                text: transcription ? transcription.text : (message[message.type].caption || null),
+                media: media,
+                payload: transcription ? { transcription: transcription.details } : null,
                 status: 'received'
             });
         } catch (error) {
@@ -208,6 +456,297 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Build the fields shared by every inbound message row
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Message data
+     * @param {string} businessPhoneNumberId - Business phone number ID
+     * @param {Object} rawData - Raw webhook data
+     * @returns {Object} Message data
+     */
+    buildInboundMessageData(conversation, message, businessPhoneNumberId, rawData) {
+        return {
+            conversation_id: conversation.id,
+            type: message.type,
+            wa_id: message.id,
+            timestamp: new Date(parseInt(message.timestamp) * 1000).toISOString(),
+            replying_to_mesage_id: message.context?.id || null,
+            business_phone_number_id: businessPhoneNumberId,
+            whatsapp_webhook_data: JSON.stringify(rawData),
+            status: 'received'
+        };
+    }
+
+    /**
+     * Process interactive message (reply button or list row selected by the user)
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Message data
+     * @param {string} businessPhoneNumberId - Business phone number ID
+     * @param {Object} rawData - Raw webhook data
+     * @returns {Promise<Object>} Created message
+     */
+    async processInteractiveMessage(conversation, message, businessPhoneNumberId, rawData) {
+        try {
+            const interactive = message.interactive || {};
+            const reply = interactive[interactive.type] || {};
+
+            // Link the selection to the option we sent, when the reply points to one of our messages
+            const matched = await this.findSelectedOption(message.context?.id, interactive.type, reply.id);
+
+            return await databaseService.createMessage({
+                ...this.buildInboundMessageData(conversation, message, businessPhoneNumberId, rawData),
+                // The selected title is what the user "said", so the assistant receives it as text
+                text: reply.title || null,
+                payload: matched ? { ...interactive, matched } : interactive
+            });
+        } catch (error) {
+            logger.error('Error processing interactive message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the option of an outbound interactive message that the user selected
+     * @param {string} contextId - WhatsApp ID of the message the user replied to
+     * @param {string} replyType - button_reply or list_reply
+     * @param {string} optionId - ID of the selected button or row
+     * @returns {Promise<Object|null>} { message_id, option } or null if it can't be matched
+     */
+    async findSelectedOption(contextId, replyType, optionId) {
+        if (!contextId || !optionId) {
+            return null;
+        }
+
+        const sentMessage = await databaseService.findMessageByWaId(contextId);
+        const action = sentMessage?.payload?.action;
+        if (!action) {
+            return null;
+        }
+
+        const options = replyType === 'button_reply'
+            ? (action.buttons || []).map(button => button.reply)
+            : (action.sections || []).flatMap(section => section.rows);
+
+        const option = options.find(candidate => candidate && candidate.id === optionId);
+        return option ? { message_id: sentMessage.id, option } : null;
+    }
+
+    /**
+     * Process button message (quick reply button of a template)
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Message data
+     * @param {string} businessPhoneNumberId - Business phone number ID
+     * @param {Object} rawData - Raw webhook data
+     * @returns {Promise<Object>} Created message
+     */
+    async processButtonMessage(conversation, message, businessPhoneNumberId, rawData) {
+        try {
+            return await databaseService.createMessage({
+                ...this.buildInboundMessageData(conversation, message, businessPhoneNumberId, rawData),
+                text: message.button?.text || null,
+                payload: message.button
+            });
+        } catch (error) {
+            logger.error('Error processing button message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Process reaction message. An empty emoji means the user removed the reaction
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Message data
+     * @param {string} businessPhoneNumberId - Business phone number ID
+     * @param {Object} rawData - Raw webhook data
+     * @returns {Promise<Object>} Created message
+     */
+    async processReactionMessage(conversation, message, businessPhoneNumberId, rawData) {
+        try {
+            const reaction = message.reaction || {};
+
+            return await databaseService.createMessage({
+                ...this.buildInboundMessageData(conversation, message, businessPhoneNumberId, rawData),
+                replying_to_mesage_id: reaction.message_id || null,
+                emoji: {
+                    emoji: reaction.emoji || null,
+                    message_id: reaction.message_id || null
+                },
+                payload: reaction
+            });
+        } catch (error) {
+            logger.error('Error processing reaction message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Process order message sent from a catalog
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Message data
+     * @param {string} businessPhoneNumberId - Business phone number ID
+     * @param {Object} rawData - Raw webhook data
+     * @returns {Promise<Object>} Created message
+     */
+    async processOrderMessage(conversation, message, businessPhoneNumberId, rawData) {
+        try {
+            return await databaseService.createMessage({
+                ...this.buildInboundMessageData(conversation, message, businessPhoneNumberId, rawData),
+                text: message.order?.text || null,
+                payload: message.order
+            });
+        } catch (error) {
+            logger.error('Error processing order message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Process system message (e.g. the user changed their phone number)
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Message data
+     * @param {string} businessPhoneNumberId - Business phone number ID
+     * @param {Object} rawData - Raw webhook data
+     * @returns {Promise<Object>} Created message
+     */
+    async processSystemMessage(conversation, message, businessPhoneNumberId, rawData) {
+        try {
+            return await databaseService.createMessage({
+                ...this.buildInboundMessageData(conversation, message, businessPhoneNumberId, rawData),
+                text: message.system?.body || null,
+                payload: message.system
+            });
+        } catch (error) {
+            logger.error('Error processing system message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Process a message WhatsApp could not deliver to the Cloud API (type "unsupported")
+     * @param {Object} conversation - Conversation object
+     * @param {Object} message - Message data
+     * @param {string} businessPhoneNumberId - Business phone number ID
+     * @param {Object} rawData - Raw webhook data
+     * @returns {Promise<Object>} Created message
+     */
+    async processUnsupportedMessage(conversation, message, businessPhoneNumberId, rawData) {
+        try {
+            return await databaseService.createMessage({
+                ...this.buildInboundMessageData(conversation, message, businessPhoneNumberId, rawData),
+                type: 'unsupported',
+                payload: { errors: message.errors || [] }
+            });
+        } catch (error) {
+            logger.error('Error processing unsupported message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Download inbound media from the Graph API and save it to media storage,
+     * checking its sha256 against the value sent in the webhook
+     * @param {Object} conversation - Conversation object
+     * @param {Object} media - Media object from webhook (id, mime_type, sha256, filename)
+     * @returns {Promise<Object>} { media, data }: media data to store on the message and the file contents
+     * @throws {Error} If the download fails or the checksum does not match, so the webhook job is retried
+     */
+    async storeInboundMedia(conversation, media) {
+        const mediaInfo = await this.getMediaInfo(media);
+
+        const response = await axios.get(mediaInfo.url, {
+            responseType: 'arraybuffer',
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`
+            }
+        });
+        const data = Buffer.from(response.data);
+
+        const expected = media.sha256 || mediaInfo.sha256 || null;
+        const digest = crypto.createHash('sha256').update(data).digest();
+        // Webhooks send the hash base64 encoded, the media endpoint hex encoded
+        if (expected && expected !== digest.toString('base64') && expected !== digest.toString('hex')) {
+            throw new Error(`sha256 mismatch for media ${media.id}`);
+        }
+
+        const mimeType = mediaInfo.mime_type || media.mime_type;
+        const key = `${conversation.id}/${media.id}`;
+        await mediaStorage.put(key, data, { contentType: mimeType });
+
+        return {
+            media: {
+                media_id: media.id,
+                storage: mediaStorage.name,
+                key,
+                mime_type: mimeType,
+                filename: media.filename || mediaInfo.filename || null,
+                sha256: digest.toString('hex'),
+                filesize: data.length
+            },
+            data
+        };
+    }
+
+    /**
+     * Transcribe an inbound audio message. Failures are logged and leave the message without text
+     * @param {Buffer} audio - Audio file contents
+     * @param {string} mimeType - Audio mime type
+     * @param {string} waMessageId - WhatsApp message ID, for logging
+     * @returns {Promise<Object|null>} { text, details } or null when transcription is disabled or unsupported
+     */
+    async transcribeAudio(audio, mimeType, waMessageId) {
+        if (!transcriber || !transcriber.supports(mimeType)) {
+            return null;
+        }
+
+        try {
+            const result = await transcriber.transcribe(audio, {
+                mimeType,
+                language: transcriptionConfig.language
+            });
+
+            const truncated = result.text.length > transcriptionConfig.maxChars;
+            return {
+                text: truncated ? result.text.slice(0, transcriptionConfig.maxChars) : result.text,
+                details: {
+                    provider: transcriber.name,
+                    language: result.language,
+                    truncated
+                }
+            };
+        } catch (error) {
+            logger.warn(`Could not transcribe audio message ${waMessageId}: ${error.message}`);
+            return {
+                text: null,
+                details: { provider: transcriber.name, error: error.message }
+            };
+        }
+    }
+
+    /**
+     * Open the stored copy of a message's media
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Object>} { media, stream, size }
+     * @throws {ApiError} 404 if the message or its stored media does not exist
+     */
+    async getStoredMedia(messageId) {
+        const message = await databaseService.findMessageById(messageId);
+        if (!message) {
+            throw new ApiError(404, 'Message not found');
+        }
+
+        // Messages stored before media was downloaded only kept the expired Graph URL
+        if (!message.media || !message.media.key) {
+            throw new ApiError(404, 'No stored media for this message');
+        }
+
+        const file = await mediaStorage.get(message.media.key);
+        if (!file) {
+            throw new ApiError(404, 'Stored media file is missing');
+        }
+
+        return { media: message.media, ...file };
+    }
+
     /**
      * Get media info from WhatsApp API
      * @param {Object} media - Media object from webhook
@@ -235,16 +774,94 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Compute the customer service window of a conversation from its last inbound message.
+     * Free-form messages can only be sent while the window is open
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object>} { open, last_inbound_at, expires_at }
+     */
+    async getServiceWindow(conversationId) {
+        const lastInbound = await databaseService.findLastInboundMessage(conversationId);
+        if (!lastInbound) {
+            return { open: false, last_inbound_at: null, expires_at: null };
+        }
+
+        const lastInboundAt = new Date(lastInbound.timestamp);
+        const expiresAt = new Date(lastInboundAt.getTime() + whatsappConfig.serviceWindowMs);
+
+        return {
+            open: expiresAt.getTime() > Date.now(),
+            last_inbound_at: lastInboundAt.toISOString(),
+            expires_at: expiresAt.toISOString()
+        };
+    }
+
+    /**
+     * Handle a free-form send to a conversation whose service window has closed: send the
+     * configured fallback template instead, or refuse the send. The fallback can only be
+     * filled with the refused text, so a template that takes any other parameter (more than
+     * one body placeholder, a header or button parameter) is refused too, as is a send with
+     * no text for a template that expects one
+     * @param {string} to - Recipient phone number
+     * @param {Object} serviceWindow - Service window of the conversation
+     * @param {string|null} text - Text of the refused message, used as {{1}} of the template body
+     * @param {string} phoneNumberId - Phone number ID to send from
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object>} Sent template message
+     * @throws {ApiError} 422 if no usable fallback template is configured
+     */
+    async sendWindowFallback(to, serviceWindow, text, phoneNumberId, conversationId) {
+        const reason = serviceWindow.expires_at
+            ? `closed at ${serviceWindow.expires_at}`
+            : 'never opened because the user has not written yet';
+        const refusal = `The 24-hour customer service window of this conversation ${reason}; only template messages can be sent`;
+
+        const fallback = whatsappConfig.windowFallbackTemplate;
+        if (!fallback) {
+            throw new ApiError(422, refusal);
+        }
+
+        const template = await templateService.get(fallback.name, fallback.language);
+        const schema = templateService.describeParameters(template);
+        if (schema.header || schema.body.count > 1 || schema.buttons.some((button) => button.required)) {
+            logger.error(`Fallback template ${fallback.name} (${fallback.language}) takes parameters other than a single body {{1}} and can't be used`);
+            throw new ApiError(422, `${refusal}, and the fallback template ${fallback.name} can't be filled automatically`);
+        }
+
+        const parameters = {};
+        if (schema.body.count === 1) {
+            if (!text || !text.trim()) {
+                throw new ApiError(422, `${refusal}, and this message has no text for the fallback template ${fallback.name}`);
+            }
+            // Template parameters cannot contain new lines, tabs or long runs of spaces
+            parameters.body = [text.replace(/\s+/g, ' ').trim()];
+        }
+
+        logger.info(`Service window closed for conversation ${conversationId}, sending template ${fallback.name} instead`);
+        return this.sendTemplateMessage(to, { ...fallback, parameters }, phoneNumberId, conversationId);
+    }
+
     /**
      * Send text message to WhatsApp
      * @param {string} to - Recipient phone number
      * @param {string} text - Message text
      * @param {string} phoneNumberId - Phone number ID to send from
      * @param {string} conversationId - Conversation ID
-     * @returns {Promise<Object>} Sent message
+     * @param {Object} [options] - consentExempt sends even to an opted-out user, for consent confirmations only
+     * @returns {Promise<Object>} Queued message, or the fallback template if the service window has closed
+     * @throws {ApiError} 403 if the recipient opted out of service messages
      */
-    async sendTextMessage(to, text, phoneNumberId, conversationId) {
+    async sendTextMessage(to, text, phoneNumberId, conversationId, options = {}) {
         try {
+            if (!options.consentExempt) {
+                await consentService.assertAllowed(to, phoneNumberId, 'service');
+            }
+
+            const serviceWindow = await this.getServiceWindow(conversationId);
+            if (!serviceWindow.open) {
+                return await this.sendWindowFallback(to, serviceWindow, text, phoneNumberId, conversationId);
+            }
+
             const payload = {
                 messaging_product: 'whatsapp',
                 recipient_type: 'individual',
@@ -253,60 +870,415 @@ class WhatsAppService {
                 text: { body: text }
             };
 
+            // Create message record in the database
+            const message = await databaseService.createBotMessage({
+                conversation_id: conversationId,
+                timestamp: new Date().toISOString(),
+                business_phone_number_id: phoneNumberId,
+                text: text
+            });
+
+            return await this.queueOutboundMessage(message, phoneNumberId, payload, {
+                consentExempt: Boolean(options.consentExempt)
+            });
+        } catch (error) {
+            logger.error('Error sending text message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send media message to WhatsApp, by public link or by the ID of uploaded media
+     * @param {string} to - Recipient phone number
+     * @param {Object} mediaData - Media data (type, url or id, caption, filename, plus the stored copy of uploads)
+     * @param {string} phoneNumberId - Phone number ID to send from
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object>} Queued message, or the fallback template if the service window has closed
+     * @throws {ApiError} 403 if the recipient opted out of service messages
+     */
+    async sendMediaMessage(to, mediaData, phoneNumberId, conversationId) {
+        try {
+            const { type, url, id, caption, filename } = mediaData;
+
+            await consentService.assertAllowed(to, phoneNumberId, 'service');
+
+            const serviceWindow = await this.getServiceWindow(conversationId);
+            if (!serviceWindow.open) {
+                return await this.sendWindowFallback(to, serviceWindow, caption || null, phoneNumberId, conversationId);
+            }
+
+            // Audio and stickers take no caption, and only documents carry a filename
+            const media = id ? { id } : { link: url };
+            if (caption && CAPTIONED_MEDIA_TYPES.includes(type)) {
+                media.caption = caption;
+            }
+            if (filename && type === 'document') {
+                media.filename = filename;
+            }
+
+            const payload = {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: type,
+                [type]: media
+            };
+
+            // Create message record in the database
+            const message = await databaseService.createMediaMessage(
+                {
+                    conversation_id: conversationId,
+                    timestamp: new Date().toISOString(),
+                    business_phone_number_id: phoneNumberId,
+                    status: 'queued'
+                },
+                {
+                    url: url || null,
+                    media_id: id || null,
+                    storage: mediaData.storage || null,
+                    key: mediaData.key || null,
+                    mime_type: mediaData.mime_type || mimeTypeFromName(url),
+                    filename: filename || null,
+                    sha256: mediaData.sha256 || null,
+                    filesize: mediaData.filesize || null,
+                    caption: caption || ''
+                }
+            );
+
+            return await this.queueOutboundMessage(message, phoneNumberId, payload);
+        } catch (error) {
+            logger.error('Error sending media message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send a local file: check it against the limits of its media type, upload it to
+     * the phone number's media endpoint, keep a copy in media storage and send it by ID
+     * @param {string} to - Recipient phone number
+     * @param {Object} file - Uploaded file (buffer, originalname)
+     * @param {Object} options - Media type, caption and filename (defaults to the uploaded file name)
+     * @param {string} phoneNumberId - Phone number ID to send from
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object>} Queued message, or the fallback template if the service window has closed
+     * @throws {ApiError} 400 if the file format is not accepted for the media type, 413 if it is too large,
+     * 403 if the recipient opted out of service messages
+     */
+    async sendUploadedMedia(to, file, options, phoneNumberId, conversationId) {
+        try {
+            const { type, caption } = options;
+            const filename = options.filename || file.originalname || null;
+
+            // Checked before uploading anything the send would refuse
+            await consentService.assertAllowed(to, phoneNumberId, 'service');
+
+            // Trust the file contents, not the client-provided mime type
+            const mimeType = detectMimeType(file.buffer, filename);
+            assertMediaLimits(type, mimeType, file.buffer);
+
+            // A closed window gets the fallback template, so the file must not be uploaded first
+            const serviceWindow = await this.getServiceWindow(conversationId);
+            if (!serviceWindow.open) {
+                return await this.sendWindowFallback(to, serviceWindow, caption || null, phoneNumberId, conversationId);
+            }
+
+            const mediaId = await this.uploadMedia(phoneNumberId, file.buffer, mimeType, filename);
+
+            const key = `${conversationId}/${mediaId}`;
+            await mediaStorage.put(key, file.buffer, { contentType: mimeType });
+
+            return await this.sendMediaMessage(to, {
+                type,
+                id: mediaId,
+                caption,
+                filename,
+                mime_type: mimeType,
+                storage: mediaStorage.name,
+                key,
+                sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                filesize: file.buffer.length
+            }, phoneNumberId, conversationId);
+        } catch (error) {
+            logger.error('Error sending uploaded media:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a file to the media endpoint of a phone number
+     * @param {string} phoneNumberId - Phone number ID that will send the media
+     * @param {Buffer} buffer - File contents
+     * @param {string} mimeType - File mime type
+     * @param {string|null} filename - File name
+     * @returns {Promise<string>} Media ID, usable for 30 days
+     * @throws {WhatsAppError} If the Graph API rejects the upload
+     */
+    async uploadMedia(phoneNumberId, buffer, mimeType, filename) {
+        const form = new FormData();
+        form.append('messaging_product', 'whatsapp');
+        form.append('type', mimeType);
+        form.append('file', new Blob([buffer], { type: mimeType }), filename || 'file');
+
+        try {
             const response = await axios.post(
-                `${this.apiUrl}/${this.apiVersion}/${phoneNumberId}/messages`,
-                payload,
+                `${this.apiUrl}/${this.apiVersion}/${phoneNumberId}/media`,
+                form,
                 {
                     headers: {
-                        'Content-Type': 'application/json',
                         'Authorization': `Bearer ${this.accessToken}`
-                    }
+                    },
+                    maxBodyLength: Infinity
                 }
             );
 
+            return response.data.id;
+        } catch (error) {
+            throw toWhatsAppError(error);
+        }
+    }
+
+    /**
+     * Send reply buttons (up to 3) to WhatsApp
+     * @param {string} to - Recipient phone number
+     * @param {Object} buttonData - Buttons data (header, body, footer, buttons: [{ id, title }])
+     * @param {string} phoneNumberId - Phone number ID to send from
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object>} Sent message
+     */
+    async sendReplyButtons(to, buttonData, phoneNumberId, conversationId) {
+        const interactive = this.buildInteractive('button', buttonData, {
+            buttons: buttonData.buttons.map(button => ({
+                type: 'reply',
+                reply: { id: button.id, title: button.title }
+            }))
+        });
+
+        return this.sendInteractiveMessage(to, interactive, phoneNumberId, conversationId);
+    }
+
+    /**
+     * Send a list message to WhatsApp
+     * @param {string} to - Recipient phone number
+     * @param {Object} listData - List data (header, body, footer, buttonText, sections: [{ title, rows: [{ id, title, description }] }])
+     * @param {string} phoneNumberId - Phone number ID to send from
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object>} Sent message
+     */
+    async sendListMessage(to, listData, phoneNumberId, conversationId) {
+        const interactive = this.buildInteractive('list', listData, {
+            button: listData.buttonText,
+            sections: listData.sections.map(section => ({
+                ...(section.title && { title: section.title }),
+                rows: section.rows.map(row => ({
+                    id: row.id,
+                    title: row.title,
+                    ...(row.description && { description: row.description })
+                }))
+            }))
+        });
+
+        return this.sendInteractiveMessage(to, interactive, phoneNumberId, conversationId);
+    }
+
+    /**
+     * Send a call-to-action URL button to WhatsApp
+     * @param {string} to - Recipient phone number
+     * @param {Object} ctaData - CTA data (header, body, footer, displayText, url)
+     * @param {string} phoneNumberId - Phone number ID to send from
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object>} Sent message
+     */
+    async sendCtaUrlMessage(to, ctaData, phoneNumberId, conversationId) {
+        const interactive = this.buildInteractive('cta_url', ctaData, {
+            name: 'cta_url',
+            parameters: {
+                display_text: ctaData.displayText,
+                url: ctaData.url
+            }
+        });
+
+        return this.sendInteractiveMessage(to, interactive, phoneNumberId, conversationId);
+    }
+
+    /**
+     * Build the interactive object of a message
+     * @param {string} type - Interactive type (button, list, cta_url)
+     * @param {Object} content - Text content (header, body, footer)
+     * @param {Object} action - Interactive action
+     * @returns {Object} Interactive object
+     */
+    buildInteractive(type, content, action) {
+        return {
+            type,
+            ...(content.header && { header: { type: 'text', text: content.header } }),
+            body: { text: content.body },
+            ...(content.footer && { footer: { text: content.footer } }),
+            action
+        };
+    }
+
+    /**
+     * Send interactive message to WhatsApp. The interactive object is stored as the message
+     * payload so the user's button_reply or list_reply can be matched against it later
+     * @param {string} to - Recipient phone number
+     * @param {Object} interactive - Interactive object
+     * @param {string} phoneNumberId - Phone number ID to send from
+     * @param {string} conversationId - Conversation ID
+     * @returns {Promise<Object>} Queued message, or the fallback template if the service window has closed
+     * @throws {ApiError} 403 if the recipient opted out of service messages
+     */
+    async sendInteractiveMessage(to, interactive, phoneNumberId, conversationId) {
+        try {
+            await consentService.assertAllowed(to, phoneNumberId, 'service');
+
+            const serviceWindow = await this.getServiceWindow(conversationId);
+            if (!serviceWindow.open) {
+                return await this.sendWindowFallback(to, serviceWindow, interactive.body.text, phoneNumberId, conversationId);
+            }
+
+            const payload = {
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: to,
+                type: 'interactive',
+                interactive
+            };
+
             // Create message record in the database
             const message = await databaseService.createBotMessage({
                 conversation_id: conversationId,
-                type: 'bot_answer',
-                wa_id: response.data.messages[0].id,
                 timestamp: new Date().toISOString(),
-                text: text,
-                status: 'sent'
+                business_phone_number_id: phoneNumberId,
+                text: interactive.body.text,
+                payload: interactive
             });
 
-            return message;
+            return await this.queueOutboundMessage(message, phoneNumberId, payload);
         } catch (error) {
-            logger.error('Error sending text message:', error);
+            logger.error('Error sending interactive message:', error);
             throw error;
         }
     }
 
     /**
-     * Send media message to WhatsApp
+     * Send a registered template message. Parameters are validated against the
+     * template definition before calling the Graph API
      * @param {string} to - Recipient phone number
-     * @param {Object} mediaData - Media data object
+     * @param {Object} templateData - Template name, language and parameters ({ header, body, buttons })
      * @param {string} phoneNumberId - Phone number ID to send from
      * @param {string} conversationId - Conversation ID
-     * @returns {Promise<Object>} Sent message
+     * @returns {Promise<Object>} Queued message, with the rendered template as text
+     * @throws {ApiError} 403 if the recipient opted out of the category of the template
      */
-    async sendMediaMessage(to, mediaData, phoneNumberId, conversationId) {
+    async sendTemplateMessage(to, templateData, phoneNumberId, conversationId) {
         try {
-            const { type, url, caption } = mediaData;
+            const { name, language, parameters = {} } = templateData;
+
+            const template = await templateService.get(name, language);
+            await consentService.assertAllowed(to, phoneNumberId, consentService.categoryFor(template.category));
+            templateService.validateParameters(template, parameters);
+            const components = templateService.buildComponents(template, parameters);
 
             const payload = {
                 messaging_product: 'whatsapp',
                 recipient_type: 'individual',
                 to: to,
-                type: type,
-                [type]: {
-                    link: url,
-                    caption: caption || ''
+                type: 'template',
+                template: {
+                    name,
+                    language: { code: language },
+                    components
                 }
             };
 
-            const response = await axios.post(
+            // Store the rendered text so transcripts read like what the user received
+            const message = await databaseService.createBotMessage({
+                conversation_id: conversationId,
+                timestamp: new Date().toISOString(),
+                business_phone_number_id: phoneNumberId,
+                text: templateService.render(template, parameters),
+                payload: {
+                    template: { name, language, category: template.category },
+                    components
+                }
+            });
+
+            return await this.queueOutboundMessage(message, phoneNumberId, payload);
+        } catch (error) {
+            logger.error('Error sending template message:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Hand a stored outbound message to the outbound queue. The message stays
+     * 'queued' until the outbound worker delivers it
+     * @param {Object} message - Stored outbound message
+     * @param {string} phoneNumberId - Phone number ID to send from
+     * @param {Object} request - Graph API message payload
+     * @param {Object} [options] - consentExempt skips the consent check at delivery
+     * @returns {Promise<Object>} The queued message
+     */
+    async queueOutboundMessage(message, phoneNumberId, request, options = {}) {
+        const job = await jobQueue.enqueue(outboundConfig.queue, {
+            message_id: message.id,
+            phone_number_id: phoneNumberId,
+            request,
+            ...(options.consentExempt && { consent_exempt: true })
+        }, { maxAttempts: outboundConfig.maxAttempts });
+
+        message.job_id = job.id;
+        await databaseService.updateMessageDelivery(message.id, { job_id: job.id });
+
+        return message;
+    }
+
+    /**
+     * Deliver a queued outbound message to the Graph API, respecting the throughput
+     * limit of the sending phone number. Called by the outbound worker
+     * @param {Object} delivery - Job payload (message_id, phone_number_id, request, consent_exempt)
+     * @returns {Promise<Object|null>} The sent message, or null if there was nothing to send
+     * @throws {WhatsAppError} With retryable set according to the Graph API error, or not retryable
+     * if the recipient opted out after the message was queued or a previous attempt may have sent it
+     */
+    async deliverOutboundMessage(delivery) {
+        const { message_id: messageId, phone_number_id: phoneNumberId, request } = delivery;
+
+        const message = await databaseService.findMessageById(messageId);
+        if (!message) {
+            logger.warn(`Outbound message ${messageId} no longer exists, skipping delivery`);
+            return null;
+        }
+
+        if (message.status === 'sending') {
+            // A previous attempt stopped after the post started (worker died, status not saved):
+            // Meta may have the message already, so it is only sent again through a manual retry
+            throw new WhatsAppError(
+                'Delivery outcome unknown: a previous attempt stopped while posting to the Graph API',
+                'outcome_unknown',
+                null,
+                { retryable: false }
+            );
+        }
+        if (message.status !== 'queued') {
+            logger.info(`Outbound message ${messageId} is already ${message.status}, skipping delivery`);
+            return null;
+        }
+
+        // The user may have opted out while the message was waiting in the queue
+        const category = consentService.categoryFor(message.payload?.template?.category || null);
+        if (!delivery.consent_exempt && await consentService.isOptedOut(request.to, phoneNumberId, category)) {
+            throw new WhatsAppError(`Recipient opted out of ${category} messages`, 'opted_out', null, { retryable: false });
+        }
+
+        await databaseService.updateMessageDelivery(messageId, { status: 'sending' });
+        await this.outboundLimiter.take(phoneNumberId);
+
+        let response;
+        try {
+            response = await axios.post(
                 `${this.apiUrl}/${this.apiVersion}/${phoneNumberId}/messages`,
-                payload,
+                request,
                 {
                     headers: {
                         'Content-Type': 'application/json',
@@ -314,30 +1286,70 @@ class WhatsAppService {
                     }
                 }
             );
+        } catch (error) {
+            throw toWhatsAppError(error);
+        }
 
-            // Create message record in the database
-            const message = await databaseService.createMediaMessage(
-                {
-                    conversation_id: conversationId,
-                    type: 'bot_answer',
-                    wa_id: response.data.messages[0].id,
-                    timestamp: new Date().toISOString(),
-                    status: 'sent'
-                },
-                {
-                    url: url,
-                    mime_type: `${type}/${type === 'document' ? 'pdf' : 'jpeg'}`,
-                    caption: caption || ''
-                }
-            );
+        const sent = await databaseService.updateMessageDelivery(messageId, {
+            status: 'sent',
+            wa_id: response.data.messages[0].id,
+            error: null
+        });
 
-            return message;
+        await this.awaitUserReply(message);
+
+        return sent;
+    }
+
+    /**
+     * Move an active conversation to 'pending' once it has been answered, until the user writes again.
+     * A conversation where the user wrote after the delivered message was created stays active.
+     * The message is already sent, so a failure here is only logged
+     * @param {Object} message - Delivered outbound message
+     * @returns {Promise<void>}
+     */
+    async awaitUserReply(message) {
+        const conversationId = message.conversation_id;
+        try {
+            const conversation = await databaseService.findConversationById(conversationId);
+            if (!conversation || conversation.status !== 'active') {
+                return;
+            }
+
+            const lastInbound = await databaseService.findLastInboundMessage(conversationId);
+            if (lastInbound && new Date(lastInbound.timestamp) > new Date(message.timestamp)) {
+                return;
+            }
+
+            await conversation.transition('pending', 'Waiting for the user to answer');
         } catch (error) {
-            logger.error('Error sending media message:', error);
-            throw error;
+            logger.warn(`Could not move conversation ${conversationId} to pending: ${error.message}`);
         }
     }
 
+    /**
+     * Retry an outbound message that failed in the outbound queue
+     * @param {string} messageId - Message ID
+     * @returns {Promise<Object>} The message, queued again
+     * @throws {ApiError} 404 if the message does not exist, 409 if it has no failed delivery to retry
+     */
+    async retryOutboundMessage(messageId) {
+        const message = await databaseService.findMessageById(messageId);
+        if (!message) {
+            throw new ApiError(404, 'Message not found');
+        }
+        if (message.status !== 'failed' || !message.job_id) {
+            throw new ApiError(409, `Message is ${message.status}, only failed outbound sends can be retried`);
+        }
+
+        const job = await jobQueue.replay(message.job_id);
+        if (!job) {
+            throw new ApiError(409, 'The delivery of this message is not in the dead-letter store and cannot be retried');
+        }
+
+        return databaseService.updateMessageDelivery(messageId, { status: 'queued', error: null });
+    }
+
     /**
      * Mark message as read
      * @param {string} messageId - Message ID
@@ -363,8 +1375,11 @@ class WhatsAppService {
                 }
             );
 
-            // Update message status in the database
-            await databaseService.updateMessageStatus(messageId, 'read');
+            // Update message status in the database (messageId is the WhatsApp message ID)
+            const message = await databaseService.findMessageByWaId(messageId);
+            if (message) {
+                await message.updateStatus('read');
+            }
 
             return response.data;
         } catch (error) {
@@ -374,4 +1389,39 @@ class WhatsAppService {
     }
 }
 
+// Media message types that accept a caption
+const CAPTIONED_MEDIA_TYPES = ['image', 'video', 'document'];
+
+// Graph API error codes worth retrying: throttling, temporary outages and unknown errors.
+// https://developers.facebook.com/docs/whatsapp/cloud-api/support/error-codes
+const RETRYABLE_GRAPH_CODES = [1, 2, 4, 80007, 130429, 131000, 131016, 131056, 133004];
+
+/**
+ * Convert an axios error from the Graph API into a WhatsAppError that tells the
+ * outbound worker whether the send should be retried
+ * @param {Error} error - Axios error
+ * @returns {WhatsAppError} The classified error
+ */
+function toWhatsAppError(error) {
+    if (!error.response) {
+        // Network failure or timeout, the request may not have reached Meta
+        return new WhatsAppError(`Graph API request failed: ${error.message}`, error.code || null, error, { retryable: true });
+    }
+
+    const { status, headers = {}, data = {} } = error.response;
+    const graphError = data.error || {};
+    const code = graphError.code || status;
+    const retryAfter = parseInt(headers['retry-after'], 10);
+
+    return new WhatsAppError(
+        `Graph API error ${code}: ${graphError.message || error.message}`,
+        code,
+        error,
+        {
+            retryable: status === 429 || status >= 500 || RETRYABLE_GRAPH_CODES.includes(graphError.code),
+            retryAfter: retryAfter > 0 ? retryAfter * 1000 : null
+        }
+    );
+}
+
 module.exports = new WhatsAppService();
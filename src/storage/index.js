@@ -0,0 +1,11 @@
+const storageConfig = require('../config/storage.js');
+const LocalStorage = require('./local.js');
+const S3Storage = require('./s3.js');
+
+/**
+ * Media storage backend selected by MEDIA_STORAGE_DRIVER. Every driver implements
+ * put(key, data, metadata), get(key) -> { stream, size } | null and remove(key)
+ */
+module.exports = storageConfig.driver === 's3'
+    ? new S3Storage(storageConfig.s3)
+    : new LocalStorage(storageConfig.local);
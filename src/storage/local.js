@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Media storage on the local filesystem. Keys are relative paths under the root directory
+ */
+class LocalStorage {
+    /**
+     * @param {Object} options - Driver options (root)
+     */
+    constructor(options) {
+        this.name = 'local';
+        this.root = options.root;
+    }
+
+    /**
+     * Resolve a key to a path, refusing keys that escape the root directory
+     * @param {string} key - Storage key
+     * @returns {string} Absolute file path
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key
+     * @param {Buffer} data - File contents
+     * @returns {Promise<void>}
+     */
+    async put(key, data) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        // Write under a temporary name so a crash never leaves a truncated file behind
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    /**
+     * Open a stored file for reading
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} { stream, size } or null if the file does not exist
+     */
+    async get(key) {
+        const filePath = this.resolve(key);
+        try {
+            const stats = await fs.promises.stat(filePath);
+            return { stream: fs.createReadStream(filePath), size: stats.size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a stored file
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,78 @@
+/**
+ * Media storage on an S3-compatible bucket. Needs the optional @aws-sdk/client-s3 package;
+ * credentials come from the standard AWS environment variables or instance profile
+ */
+class S3Storage {
+    /**
+     * @param {Object} options - Driver options (bucket, region, endpoint, forcePathStyle, prefix)
+     */
+    constructor(options) {
+        let sdk;
+        try {
+            sdk = require('@aws-sdk/client-s3');
+        } catch (error) {
+            throw new Error('MEDIA_STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package');
+        }
+        if (!options.bucket) {
+            throw new Error('MEDIA_STORAGE_DRIVER=s3 requires MEDIA_S3_BUCKET');
+        }
+
+        this.name = 's3';
+        this.sdk = sdk;
+        this.bucket = options.bucket;
+        this.prefix = options.prefix;
+        this.client = new sdk.S3Client({
+            region: options.region,
+            endpoint: options.endpoint,
+            forcePathStyle: options.forcePathStyle
+        });
+    }
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key
+     * @param {Buffer} data - File contents
+     * @param {Object} [metadata] - Optional metadata (contentType)
+     * @returns {Promise<void>}
+     */
+    async put(key, data, metadata = {}) {
+        await this.client.send(new this.sdk.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.prefix + key,
+            Body: data,
+            ContentType: metadata.contentType
+        }));
+    }
+
+    /**
+     * Open a stored file for reading
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} { stream, size } or null if the object does not exist
+     */
+    async get(key) {
+        try {
+            const response = await this.client.send(new this.sdk.GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.prefix + key
+            }));
+            return { stream: response.Body, size: response.ContentLength };
+        } catch (error) {
+            if (error.name === 'NoSuchKey') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a stored file
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        await this.client.send(new this.sdk.DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.prefix + key
+        }));
+    }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,25 @@
+const handoffService = require('../services/handoff.js');
+
+/**
+ * Built-in tool: hand the conversation over to a person. The conversation is marked as
+ * taken, so the AI stays quiet until an agent releases it or it goes idle
+ */
+module.exports = {
+    name: 'handoff_to_human',
+    description: 'Hand the conversation over to a human agent. Use it when the user asks to talk to a person '
+        + 'or needs something you cannot resolve. Afterwards, tell the user that someone will follow up.',
+    parameters: {
+        type: 'object',
+        properties: {
+            reason: {
+                type: 'string',
+                description: 'Why a human is needed, for the agent picking up the conversation'
+            }
+        },
+        required: ['reason']
+    },
+    handler: async ({ reason }, { conversation }) => {
+        await handoffService.take(conversation.id, { reason: reason || null, source: 'assistant' });
+        return { handed_off: true };
+    }
+};
@@ -0,0 +1,45 @@
+const databaseService = require('../services/database.js');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * Built-in tool: look up earlier messages of the conversation, including those that
+ * never reached the assistant's thread (sent by agents, or before the thread existed)
+ */
+module.exports = {
+    name: 'get_conversation_history',
+    description: 'Look up earlier WhatsApp messages of this conversation, including messages sent by human agents. '
+        + 'Returns the latest messages, oldest first, optionally only those containing a text.',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: {
+                type: 'string',
+                description: 'Only return messages whose text contains this'
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: MAX_LIMIT,
+                description: `Number of messages to return (default ${DEFAULT_LIMIT})`
+            }
+        }
+    },
+    handler: async ({ query, limit }, { conversation }) => {
+        const messages = await databaseService.findRecentMessages(conversation.id, {
+            query: query || null,
+            limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+        });
+
+        return {
+            messages: messages.map(message => ({
+                // Only inbound messages keep the webhook payload they arrived in
+                from: message.whatsapp_webhook_data ? 'user' : 'business',
+                type: message.type,
+                text: message.text,
+                sent_at: message.timestamp
+            }))
+        };
+    }
+};
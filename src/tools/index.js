@@ -0,0 +1,16 @@
+const openaiConfig = require('../config/openai.js');
+const ToolRegistry = require('./registry.js');
+const handoff = require('./handoff.js');
+const history = require('./history.js');
+
+/**
+ * Function tools available to the assistant. Register more with
+ * require('./tools').register({ name, description, parameters, handler })
+ */
+const registry = new ToolRegistry({ timeoutMs: openaiConfig.toolTimeoutMs });
+
+registry
+    .register(handoff)
+    .register(history);
+
+module.exports = registry;
@@ -0,0 +1,141 @@
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Raised when a tool handler does not settle within its timeout
+ */
+class ToolTimeoutError extends Error {
+    constructor(name, timeoutMs) {
+        super(`Tool ${name} timed out after ${timeoutMs}ms`);
+        this.name = 'ToolTimeoutError';
+    }
+}
+
+/**
+ * Named function tools the assistant can call. A tool is
+ * { name, description, parameters (JSON schema), handler(args, context), timeoutMs? }
+ * and its handler's return value is sent back to the run as the tool output
+ */
+class ToolRegistry {
+    /**
+     * @param {Object} options - Registry options (timeoutMs, the default handler timeout)
+     */
+    constructor(options) {
+        this.timeoutMs = options.timeoutMs;
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool
+     * @param {Object} tool - Tool definition
+     * @returns {ToolRegistry} The registry, for chaining
+     * @throws {Error} If the definition is invalid or the name is taken
+     */
+    register(tool) {
+        if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+            throw new Error('Tool names must be 1 to 64 letters, digits, underscores or dashes');
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`Tool ${tool.name} needs a handler function`);
+        }
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Tool ${tool.name} is already registered`);
+        }
+
+        this.tools.set(tool.name, {
+            description: '',
+            parameters: { type: 'object', properties: {} },
+            ...tool
+        });
+        return this;
+    }
+
+    /**
+     * Remove a tool
+     * @param {string} name - Tool name
+     * @returns {boolean} True if the tool was registered
+     */
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    /**
+     * Check whether a tool is registered
+     * @param {string} name - Tool name
+     * @returns {boolean} True if registered
+     */
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    /**
+     * Function definitions of every registered tool, in the shape the assistant's tools take
+     * @returns {Array<Object>} { type: 'function', function: { name, description, parameters } } entries
+     */
+    definitions() {
+        return [...this.tools.values()].map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters
+            }
+        }));
+    }
+
+    /**
+     * Execute a tool call. Never throws: unknown tools, invalid arguments, handler errors and
+     * timeouts produce an { error } output so the run can go on and the assistant can react
+     * @param {string} name - Tool name
+     * @param {string} rawArguments - Arguments as sent by the assistant (JSON)
+     * @param {Object} context - Passed to the handler (conversation, threadId, runId) with an
+     *   AbortSignal that fires on timeout
+     * @returns {Promise<Object>} { status: 'success'|'error'|'timeout', output, error, durationMs }
+     */
+    async execute(name, rawArguments, context = {}) {
+        const startedAt = Date.now();
+        const finish = (status, output, error = null) => ({
+            status,
+            output,
+            error,
+            durationMs: Date.now() - startedAt
+        });
+        const fail = (status, message) => finish(status, JSON.stringify({ error: message }), message);
+
+        const tool = this.tools.get(name);
+        if (!tool) {
+            return fail('error', `Unknown tool ${name}`);
+        }
+
+        let args;
+        try {
+            args = rawArguments ? JSON.parse(rawArguments) : {};
+        } catch (error) {
+            return fail('error', `Arguments of ${name} are not valid JSON`);
+        }
+
+        const timeoutMs = tool.timeoutMs || this.timeoutMs;
+        const controller = new AbortController();
+        let timer;
+
+        try {
+            const result = await Promise.race([
+                Promise.resolve().then(() => tool.handler(args, { ...context, signal: controller.signal })),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new ToolTimeoutError(name, timeoutMs)), timeoutMs);
+                })
+            ]);
+
+            return finish('success', typeof result === 'string' ? result : JSON.stringify(result === undefined ? null : result));
+        } catch (error) {
+            if (error instanceof ToolTimeoutError) {
+                controller.abort();
+                return fail('timeout', error.message);
+            }
+            return fail('error', error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = ToolRegistry;
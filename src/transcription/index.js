@@ -0,0 +1,11 @@
+const transcriptionConfig = require('../config/transcription.js');
+const OpenAITranscriber = require('./openai.js');
+
+/**
+ * Speech-to-text provider selected by TRANSCRIPTION_PROVIDER, or null when disabled.
+ * Every provider implements supports(mimeType) and
+ * transcribe(audio, { mimeType, language }) -> { text, language }
+ */
+module.exports = transcriptionConfig.provider === 'openai'
+    ? new OpenAITranscriber(transcriptionConfig)
+    : null;
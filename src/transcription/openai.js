@@ -0,0 +1,60 @@
+const { OpenAI, toFile } = require('openai');
+
+// Extensions OpenAI uses to recognise the audio container
+const EXTENSIONS = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/wav': 'wav',
+    'audio/webm': 'webm'
+};
+
+/**
+ * Speech-to-text with OpenAI's audio transcription API
+ */
+class OpenAITranscriber {
+    /**
+     * @param {Object} options - Provider options (model)
+     */
+    constructor(options) {
+        this.name = 'openai';
+        this.model = options.model;
+        this.client = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY
+        });
+    }
+
+    /**
+     * Check whether an audio format can be transcribed
+     * @param {string} mimeType - Audio mime type
+     * @returns {boolean} True if the format is accepted
+     */
+    supports(mimeType) {
+        return Boolean(EXTENSIONS[(mimeType || '').split(';')[0].trim()]);
+    }
+
+    /**
+     * Transcribe an audio file
+     * @param {Buffer} audio - Audio file contents
+     * @param {Object} options - mimeType, and language (ISO-639-1) to skip detection
+     * @returns {Promise<Object>} { text, language } where language is null if the model does not report it
+     */
+    async transcribe(audio, options) {
+        const extension = EXTENSIONS[options.mimeType.split(';')[0].trim()];
+        const verbose = this.model.startsWith('whisper');
+
+        const transcription = await this.client.audio.transcriptions.create({
+            file: await toFile(audio, `audio.${extension}`, { type: options.mimeType }),
+            model: this.model,
+            ...(options.language && { language: options.language }),
+            response_format: verbose ? 'verbose_json' : 'json'
+        });
+
+        return {
+            text: (transcription.text || '').trim(),
+            language: transcription.language || options.language || null
+        };
+    }
+}
+
+module.exports = OpenAITranscriber;
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors.js');
+
+/**
+ * Short fingerprint of the filters of a listing, so a cursor can only continue the listing
+ * it was made for. Unset filters are ignored
+ * @param {Object} filters - Filters of the listing
+ * @returns {string} Hex fingerprint
+ */
+const fingerprint = (filters = {}) => {
+    const entries = Object.keys(filters)
+        .filter((key) => filters[key] !== undefined && filters[key] !== null)
+        .sort()
+        .map((key) => [key, filters[key]]);
+    return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex').slice(0, 16);
+};
+
+/**
+ * Opaque pagination cursor pointing after a row of a keyset-ordered listing
+ * (sort column, then id). The sort, order and a fingerprint of the filters travel in the
+ * cursor, so the next page always continues the same listing
+ * @param {Object} row - Last row of the page
+ * @param {string} sort - Sort column
+ * @param {string} order - 'asc' or 'desc'
+ * @param {Object} filters - Filters of the listing
+ * @returns {string} Cursor for the next page
+ */
+const encodeCursor = (row, sort, order, filters) => {
+    const value = row[sort] instanceof Date ? row[sort].toISOString() : row[sort];
+    return Buffer.from(JSON.stringify({ sort, order, value, id: row.id, filters: fingerprint(filters) })).toString('base64url');
+};
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - Cursor received from a client
+ * @param {Array<string>} sorts - Sort columns the listing accepts
+ * @param {Object} filters - Filters of the request, which must be those the cursor was made with
+ * @returns {Object} { sort, order, value, id }
+ * @throws {ApiError} 400 if the cursor is malformed or belongs to another listing
+ */
+const decodeCursor = (cursor, sorts, filters) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        decoded = null;
+    }
+
+    if (!decoded || !sorts.includes(decoded.sort) || !['asc', 'desc'].includes(decoded.order)
+        || !decoded.id || decoded.value === undefined) {
+        throw new ApiError(400, 'Invalid cursor');
+    }
+    if (decoded.filters !== fingerprint(filters)) {
+        throw new ApiError(400, 'The cursor was made for different filters; start again without it');
+    }
+    return decoded;
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
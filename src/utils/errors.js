@@ -33,11 +33,14 @@ class DatabaseError extends Error {
  * Custom error class for WhatsApp API errors
  */
 class WhatsAppError extends Error {
-    constructor(message, code = null, originalError = null) {
+    constructor(message, code = null, originalError = null, options = {}) {
         super(message);
         this.name = 'WhatsAppError';
         this.code = code;
         this.originalError = originalError;
+        // Read by the queue worker: false skips the remaining attempts, retryAfter (ms) overrides the backoff
+        this.retryable = options.retryable !== undefined ? options.retryable : null;
+        this.retryAfter = options.retryAfter || null;
         Error.captureStackTrace(this, this.constructor);
     }
 }
@@ -55,6 +58,31 @@ class OpenAIError extends Error {
     }
 }
 
+/**
+ * Custom error class for inbound WhatsApp messages that were already stored
+ */
+class DuplicateMessageError extends Error {
+    constructor(waId) {
+        super(`Message ${waId} has already been received`);
+        this.name = 'DuplicateMessageError';
+        this.waId = waId;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+/**
+ * Custom error class for conversation status changes the lifecycle does not allow
+ */
+class InvalidTransitionError extends Error {
+    constructor(from, to, message = null) {
+        super(message || `Conversation cannot go from ${from} to ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.from = from;
+        this.to = to;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
 /**
  * Handles errors globally
  * @param {Error} error - The error to handle
@@ -85,6 +113,15 @@ const convertToApiError = (error) => {
         return new ApiError(503, `WhatsApp API error: ${error.message}`, true, error.stack);
     }
 
+    if (error instanceof DuplicateMessageError || error instanceof InvalidTransitionError) {
+        return new ApiError(409, error.message, true, error.stack);
+    }
+
+    // Rejected multipart uploads (file too large, unexpected field...)
+    if (error.name === 'MulterError') {
+        return new ApiError(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400, error.message, true, error.stack);
+    }
+
     if (error instanceof OpenAIError) {
         return new ApiError(503, `OpenAI API error: ${error.message}`, true, error.stack);
     }
@@ -104,6 +141,8 @@ module.exports = {
     DatabaseError,
     WhatsAppError,
     OpenAIError,
+    DuplicateMessageError,
+    InvalidTransitionError,
     handleError,
     convertToApiError
 };
@@ -0,0 +1,173 @@
+const path = require('path');
+const { ApiError } = require('./errors.js');
+
+const MB = 1024 * 1024;
+
+// Formats and sizes accepted by the Cloud API for each media message type
+// https://developers.facebook.com/docs/whatsapp/cloud-api/reference/media#supported-media-types
+const MEDIA_LIMITS = {
+    audio: {
+        mimeTypes: ['audio/aac', 'audio/amr', 'audio/mpeg', 'audio/mp4', 'audio/ogg'],
+        maxSize: 16 * MB
+    },
+    document: {
+        mimeTypes: [
+            'text/plain',
+            'application/pdf',
+            'application/msword',
+            'application/vnd.ms-excel',
+            'application/vnd.ms-powerpoint',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+        ],
+        maxSize: 100 * MB
+    },
+    image: {
+        mimeTypes: ['image/jpeg', 'image/png'],
+        maxSize: 5 * MB
+    },
+    sticker: {
+        mimeTypes: ['image/webp'],
+        maxSize: 100 * 1024,
+        maxAnimatedSize: 500 * 1024
+    },
+    video: {
+        mimeTypes: ['video/mp4', 'video/3gpp'],
+        maxSize: 16 * MB
+    }
+};
+
+// Largest file any media type accepts, used as the upload limit
+const MAX_MEDIA_SIZE = Math.max(...Object.values(MEDIA_LIMITS).map(limits => limits.maxSize));
+
+// Types that can't be told apart by their bytes alone
+const MIME_TYPES_BY_EXTENSION = {
+    '.aac': 'audio/aac',
+    '.amr': 'audio/amr',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.ogg': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.txt': 'text/plain',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.xls': 'application/vnd.ms-excel',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.3gp': 'video/3gpp'
+};
+
+/**
+ * Guess a mime type from a file name or URL extension
+ * @param {string} name - File name or URL
+ * @returns {string|null} Mime type or null if the extension is unknown
+ */
+const mimeTypeFromName = (name) => {
+    if (!name) return null;
+
+    const pathname = /^https?:\/\//.test(name) ? new URL(name).pathname : name;
+    return MIME_TYPES_BY_EXTENSION[path.extname(pathname).toLowerCase()] || null;
+};
+
+/**
+ * Pick the usual file extension of a mime type
+ * @param {string} mimeType - Mime type
+ * @returns {string|null} Extension including the dot, or null if the type is unknown
+ */
+const extensionForMimeType = (mimeType) => {
+    const type = (mimeType || '').split(';')[0].trim();
+    const entry = Object.entries(MIME_TYPES_BY_EXTENSION).find(([, knownType]) => knownType === type);
+    return entry ? entry[0] : null;
+};
+
+/**
+ * Detect the mime type of a file from its leading bytes, falling back to the
+ * file name for containers shared by several formats (ZIP, OLE2, ISO media)
+ * @param {Buffer} buffer - File contents
+ * @param {string} [filename] - Original file name
+ * @returns {string|null} Detected mime type or null if the format is not recognised
+ */
+const detectMimeType = (buffer, filename) => {
+    const byName = mimeTypeFromName(filename);
+    const starts = (signature, offset = 0) => buffer.length >= offset + signature.length
+        && buffer.subarray(offset, offset + signature.length).equals(Buffer.from(signature));
+
+    if (starts([0xff, 0xd8, 0xff])) return 'image/jpeg';
+    if (starts([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+    if (starts('RIFF') && starts('WEBP', 8)) return 'image/webp';
+    if (starts('%PDF-')) return 'application/pdf';
+    if (starts('#!AMR')) return 'audio/amr';
+    if (starts('OggS')) return 'audio/ogg';
+    if (starts('ID3') || (buffer.length > 1 && buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf2)) return 'audio/mpeg';
+    if (buffer.length > 1 && buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'audio/aac';
+
+    if (starts('ftyp', 4)) {
+        const brand = buffer.subarray(8, 12).toString('latin1');
+        if (brand.startsWith('3gp')) return 'video/3gpp';
+        if (brand.startsWith('M4A') || byName === 'audio/mp4') return 'audio/mp4';
+        return 'video/mp4';
+    }
+
+    // Office Open XML files are ZIP archives, legacy Office files OLE2 compound documents
+    if (starts([0x50, 0x4b, 0x03, 0x04])) {
+        return byName && byName.includes('openxmlformats') ? byName : null;
+    }
+    if (starts([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+        return ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'].includes(byName)
+            ? byName
+            : null;
+    }
+
+    // Plain text has no signature: accept .txt files that contain no NUL bytes
+    if (byName === 'text/plain' && !buffer.includes(0)) return 'text/plain';
+
+    return null;
+};
+
+/**
+ * Check whether a WebP file is animated (VP8X header with the animation flag)
+ * @param {Buffer} buffer - WebP file contents
+ * @returns {boolean} True for animated WebP
+ */
+const isAnimatedWebp = (buffer) => buffer.length > 20
+    && buffer.subarray(12, 16).toString('latin1') === 'VP8X'
+    && (buffer[20] & 0x02) !== 0;
+
+/**
+ * Check a file against the format and size limits of a media message type
+ * @param {string} type - Media message type (audio, document, image, sticker, video)
+ * @param {string|null} mimeType - Detected mime type
+ * @param {Buffer} buffer - File contents
+ * @throws {ApiError} 400 if the format is not accepted, 413 if the file is too large
+ */
+const assertMediaLimits = (type, mimeType, buffer) => {
+    const limits = MEDIA_LIMITS[type];
+    if (!limits) {
+        throw new ApiError(400, `Unsupported media type ${type}`);
+    }
+    if (!mimeType || !limits.mimeTypes.includes(mimeType)) {
+        throw new ApiError(400, `${type} must be one of ${limits.mimeTypes.join(', ')} (got ${mimeType || 'an unrecognised format'})`);
+    }
+
+    const maxSize = type === 'sticker' && isAnimatedWebp(buffer) ? limits.maxAnimatedSize : limits.maxSize;
+    if (buffer.length > maxSize) {
+        throw new ApiError(413, `${type} files are limited to ${Math.round(maxSize / 1024)} KB (got ${Math.round(buffer.length / 1024)} KB)`);
+    }
+};
+
+module.exports = {
+    MEDIA_LIMITS,
+    MAX_MEDIA_SIZE,
+    mimeTypeFromName,
+    extensionForMimeType,
+    detectMimeType,
+    assertMediaLimits
+};
@@ -0,0 +1,62 @@
+const logger = require('./logger.js');
+
+/**
+ * Collects items per key and hands them over in one batch once no new item
+ * has arrived for the key during its quiet window
+ */
+class MessageAggregator {
+    /**
+     * @param {Function} flush - Async function receiving (key, items) when a window closes
+     */
+    constructor(flush) {
+        this.flush = flush;
+        this.batches = new Map();
+    }
+
+    /**
+     * Add an item to the batch of a key, restarting its quiet window
+     * @param {string} key - Batch key (e.g. conversation ID)
+     * @param {*} item - Item to collect
+     * @param {number} windowMs - Quiet window in milliseconds
+     */
+    add(key, item, windowMs) {
+        let batch = this.batches.get(key);
+        if (!batch) {
+            batch = { items: [], timer: null };
+            this.batches.set(key, batch);
+        }
+
+        batch.items.push(item);
+        clearTimeout(batch.timer);
+        batch.timer = setTimeout(() => this.release(key), windowMs);
+    }
+
+    /**
+     * Hand the batch of a key to the flush function
+     * @param {string} key - Batch key
+     * @returns {Promise<void>}
+     */
+    async release(key) {
+        const batch = this.batches.get(key);
+        if (!batch) return;
+
+        clearTimeout(batch.timer);
+        this.batches.delete(key);
+
+        try {
+            await this.flush(key, batch.items);
+        } catch (error) {
+            logger.error(`Failed to flush aggregated batch for ${key}:`, error);
+        }
+    }
+
+    /**
+     * Release every pending batch right away (e.g. on shutdown)
+     * @returns {Promise<void>}
+     */
+    async releaseAll() {
+        await Promise.all([...this.batches.keys()].map(key => this.release(key)));
+    }
+}
+
+module.exports = MessageAggregator;
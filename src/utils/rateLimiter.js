@@ -0,0 +1,38 @@
+/**
+ * Sliding-window rate limiter keeping at most `limit` operations per key within
+ * `interval` milliseconds. State is kept in memory, so limits apply per process
+ */
+class RateLimiter {
+    /**
+     * @param {number} limit - Operations allowed per key within the interval
+     * @param {number} interval - Window length in milliseconds
+     */
+    constructor(limit, interval) {
+        this.limit = limit;
+        this.interval = interval;
+        this.windows = new Map();
+    }
+
+    /**
+     * Wait until an operation is allowed for a key, then count it
+     * @param {string} key - Rate limited key (e.g. a phone number ID)
+     * @returns {Promise<void>}
+     */
+    async take(key) {
+        for (;;) {
+            const now = Date.now();
+            const recent = (this.windows.get(key) || []).filter(time => time > now - this.interval);
+
+            if (recent.length < this.limit) {
+                recent.push(now);
+                this.windows.set(key, recent);
+                return;
+            }
+
+            this.windows.set(key, recent);
+            await new Promise(resolve => setTimeout(resolve, recent[0] + this.interval - now));
+        }
+    }
+}
+
+module.exports = RateLimiter;
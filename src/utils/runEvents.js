@@ -0,0 +1,40 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process feed of assistant activity (run status changes, text deltas, tool calls
+ * and replies) for live dashboards. Subscribers only see events of this process
+ */
+class RunEvents {
+    constructor() {
+        this.emitter = new EventEmitter();
+        // Every open dashboard connection is a listener
+        this.emitter.setMaxListeners(0);
+    }
+
+    /**
+     * Publish an event of a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {string} type - Event type (run, delta, tool_call, reply)
+     * @param {Object} data - Event data
+     */
+    publish(conversationId, type, data) {
+        this.emitter.emit('event', {
+            conversation_id: conversationId,
+            type,
+            data,
+            at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Receive every published event
+     * @param {Function} listener - Called with { conversation_id, type, data, at }
+     * @returns {Function} Unsubscribes the listener
+     */
+    subscribe(listener) {
+        this.emitter.on('event', listener);
+        return () => this.emitter.off('event', listener);
+    }
+}
+
+module.exports = new RunEvents();
@@ -0,0 +1,17 @@
+/**
+ * Lowercase a text, strip its accents and reduce it to words separated by single spaces,
+ * so keywords can be matched however the user typed them
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+const normalizeText = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .join(' ');
+
+module.exports = {
+    normalizeText
+};